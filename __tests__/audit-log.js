@@ -0,0 +1,215 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
+const { afterEach, beforeEach, describe, mock, it } = require('node:test');
+
+const { createAuditLog, getDeliveryStatus } = require('../utils/audit-log');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns a delivery of a push to `branch` received at `receivedAt`
+ * @param {string} branch
+ * @param {string} receivedAt
+ * @param {any[]} [dispatches]
+ */
+const getDelivery = (branch, receivedAt, dispatches = []) => {
+  return {
+    id: `${branch}@${receivedAt}`,
+    receivedAt,
+    event: 'push',
+    ref: `refs/heads/${branch}`,
+    branch,
+    sha: 'd07ca4f716c62d6f4a481a74b54b448b95bbe3d9',
+    decision: dispatches.length > 0 ? 'dispatched' : 'skipped',
+    dispatches,
+  };
+};
+
+describe('audit log', () => {
+  let directory;
+  let file;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(join(tmpdir(), 'audit-log-'));
+    file = join(directory, 'deliveries.jsonl');
+    mock.timers.enable({
+      apis: ['Date'],
+      now: Date.parse('2021-10-25T15:00:00.000Z'),
+    });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('returns the deliveries newest first', () => {
+    const log = createAuditLog({ file, retention: DAY });
+
+    log.record(getDelivery('11-x-y', '2021-10-25T14:00:00.000Z'));
+    log.record(getDelivery('12-x-y', '2021-10-25T14:30:00.000Z'));
+
+    assert.deepStrictEqual(
+      log.query({}, () => undefined).map(({ branch }) => branch),
+      ['12-x-y', '11-x-y'],
+    );
+  });
+
+  it('filters the deliveries by branch, status and time range', () => {
+    const log = createAuditLog({ file, retention: DAY });
+    const dispatch = {
+      owner: 'electron',
+      repo: 'website',
+      eventType: 'doc_changes',
+      status: 'pending',
+      id: '1',
+    };
+
+    log.record(getDelivery('12-x-y', '2021-10-25T12:00:00.000Z', [dispatch]));
+    log.record(getDelivery('12-x-y', '2021-10-25T13:00:00.000Z'));
+    log.record(getDelivery('11-x-y', '2021-10-25T14:00:00.000Z', [dispatch]));
+
+    const query = (filters) =>
+      log.query(filters, () => undefined).map(({ id }) => id);
+
+    assert.deepStrictEqual(query({ branch: '12-x-y', status: 'delivered' }), [
+      '12-x-y@2021-10-25T12:00:00.000Z',
+    ]);
+    assert.deepStrictEqual(
+      query({
+        since: new Date('2021-10-25T12:30:00.000Z'),
+        until: new Date('2021-10-25T13:30:00.000Z'),
+      }),
+      ['12-x-y@2021-10-25T13:00:00.000Z'],
+    );
+    assert.deepStrictEqual(query({ limit: 1 }), [
+      '11-x-y@2021-10-25T14:00:00.000Z',
+    ]);
+  });
+
+  it('uses the current status of the dispatches', () => {
+    const log = createAuditLog({ file, retention: DAY });
+
+    log.record(
+      getDelivery('12-x-y', '2021-10-25T14:00:00.000Z', [
+        {
+          owner: 'electron',
+          repo: 'website',
+          eventType: 'doc_changes',
+          status: 'pending',
+          id: '1',
+        },
+      ]),
+    );
+
+    const [delivery] = log.query({}, () => 'dead');
+
+    assert.strictEqual(delivery.status, 'failed');
+    assert.strictEqual(delivery.dispatches[0].status, 'dead');
+  });
+
+  it('finds the deliveries recorded out of order', () => {
+    const log = createAuditLog({ file, retention: DAY });
+
+    log.record(getDelivery('12-x-y', '2021-10-25T14:30:00.000Z'));
+    log.record(getDelivery('11-x-y', '2021-10-25T14:00:00.000Z'));
+
+    assert.deepStrictEqual(
+      log
+        .query({ since: new Date('2021-10-25T14:15:00.000Z') }, () => undefined)
+        .map(({ branch }) => branch),
+      ['12-x-y'],
+    );
+  });
+
+  it('drops the deliveries older than the retention recorded out of order', () => {
+    const log = createAuditLog({ file, retention: DAY });
+
+    log.record(getDelivery('12-x-y', '2021-10-25T14:00:00.000Z'));
+    log.record(getDelivery('11-x-y', '2021-10-24T14:00:00.000Z'));
+
+    assert.deepStrictEqual(
+      log.query({}, () => undefined).map(({ branch }) => branch),
+      ['12-x-y'],
+    );
+  });
+
+  it('drops the deliveries older than the retention when loading', () => {
+    createAuditLog({ file, retention: DAY }).record(
+      getDelivery('11-x-y', '2021-10-24T14:00:00.000Z'),
+    );
+    createAuditLog({ file, retention: DAY }).record(
+      getDelivery('12-x-y', '2021-10-25T14:00:00.000Z'),
+    );
+
+    const log = createAuditLog({ file, retention: DAY });
+    log.load();
+
+    assert.deepStrictEqual(
+      log.query({}, () => undefined).map(({ branch }) => branch),
+      ['12-x-y'],
+    );
+    assert.strictEqual(
+      fs.readFileSync(file, 'utf-8').trim().split('\n').length,
+      1,
+    );
+  });
+
+  it('keeps the last version of the updated deliveries', () => {
+    const dispatch = {
+      owner: 'electron',
+      repo: 'website',
+      eventType: 'doc_changes_nightly',
+      status: 'deferred',
+    };
+    const delivery = getDelivery('main', '2021-10-25T14:00:00.000Z', [
+      dispatch,
+    ]);
+    const previous = createAuditLog({ file, retention: DAY });
+    previous.record(getDelivery('12-x-y', '2021-10-25T13:00:00.000Z'));
+    previous.record(delivery);
+    previous.update(getDelivery('11-x-y', '2021-10-25T14:30:00.000Z'));
+
+    Object.assign(dispatch, { status: 'pending', id: '1' });
+    previous.update(delivery);
+
+    const log = createAuditLog({ file, retention: DAY });
+    log.load();
+    const deliveries = log.query({}, () => 'pending');
+
+    assert.deepStrictEqual(
+      deliveries.map(({ branch, status }) => [branch, status]),
+      [
+        ['main', 'pending'],
+        ['12-x-y', 'skipped'],
+      ],
+    );
+    assert.deepStrictEqual(deliveries[0].dispatches, [dispatch]);
+  });
+
+  it('returns the worst status of the dispatches', () => {
+    const dispatch = { owner: 'electron', repo: 'website', eventType: 'x' };
+
+    assert.strictEqual(getDeliveryStatus([]), 'skipped');
+    assert.strictEqual(
+      getDeliveryStatus([
+        { ...dispatch, status: 'delivered' },
+        { ...dispatch, status: 'deferred' },
+      ]),
+      'deferred',
+    );
+    assert.strictEqual(
+      getDeliveryStatus([
+        { ...dispatch, status: 'pending' },
+        { ...dispatch, status: 'failed' },
+      ]),
+      'failed',
+    );
+    assert.strictEqual(
+      getDeliveryStatus([{ ...dispatch, status: 'dry-run' }]),
+      'dry-run',
+    );
+  });
+});
@@ -0,0 +1,109 @@
+const assert = require('node:assert/strict');
+const { join } = require('node:path');
+const { describe, mock, it } = require('node:test');
+
+const {
+  getSupportedBranches,
+  planBackfill,
+  runBackfill,
+  validateBackfill,
+} = require('../utils/backfill');
+const { loadRules } = require('../utils/rules');
+
+const rules = loadRules(join(__dirname, 'fixtures', 'rules.json'));
+
+const latestInformation = {
+  version: '12.0.6',
+  branch: '12-x-y',
+  prereleaseBranches: ['13-x-y'],
+};
+
+describe('backfill', () => {
+  it('returns the branches of the supported majors', () => {
+    assert.deepStrictEqual(getSupportedBranches(latestInformation), [
+      '12-x-y',
+      '11-x-y',
+      '10-x-y',
+    ]);
+    assert.deepStrictEqual(
+      getSupportedBranches({ ...latestInformation, branch: '2-x-y' }),
+      ['2-x-y', '1-x-y'],
+    );
+  });
+
+  it('only accepts release branches and a SHA range for one branch', () => {
+    const sha = 'd07ca4f716c62d6f4a481a74b54b448b95bbe3d9';
+
+    assert.strictEqual(validateBackfill({ branches: ['12-x-y'] }), undefined);
+    assert.strictEqual(
+      validateBackfill({ branches: ['12-x-y', 'main'] }),
+      'Not release branches: main',
+    );
+    assert.strictEqual(
+      validateBackfill({ branches: ['12-x-y', '11-x-y'], before: sha }),
+      '"sha" and "before" can only be given for one branch',
+    );
+  });
+
+  it('plans the events a push to the branch would send', async () => {
+    const sha = 'd07ca4f716c62d6f4a481a74b54b448b95bbe3d9';
+    const { decisions, dispatches } = await planBackfill({
+      rules,
+      latestInformation,
+      branches: ['13-x-y'],
+      sha,
+    });
+
+    assert.deepStrictEqual(
+      decisions.map(({ rule, reason }) => [rule, reason]),
+      [
+        ['electron docs', 'dispatched'],
+        ['electron nightly docs', 'branch-not-matched'],
+      ],
+    );
+    assert.deepStrictEqual(
+      dispatches.map(({ eventType, sha }) => [eventType, sha]),
+      [['doc_changes_prerelease', sha]],
+    );
+  });
+
+  it('does not plan anything for unreleased majors', async () => {
+    const { decisions, dispatches } = await planBackfill({
+      rules,
+      latestInformation,
+      branches: ['14-x-y'],
+    });
+
+    assert.strictEqual(decisions[0].reason, 'unreleased-major');
+    assert.deepStrictEqual(dispatches, []);
+  });
+
+  it('sends the dispatches one after the other', async () => {
+    const send = mock.fn(() => Promise.resolve('delivered'));
+    const dispatch = {
+      rule: 'electron docs',
+      branch: '12-x-y',
+      sha: 'd07ca4f716c62d6f4a481a74b54b448b95bbe3d9',
+      owner: 'electron',
+      repo: 'website',
+      payload: {},
+    };
+
+    const results = await runBackfill(
+      [
+        { ...dispatch, eventType: 'doc_changes_branches' },
+        { ...dispatch, eventType: 'doc_changes' },
+      ],
+      { interval: 0, send },
+    );
+
+    assert.deepStrictEqual(
+      send.mock.calls.map(({ arguments: [{ eventType }] }) => eventType),
+      ['doc_changes_branches', 'doc_changes'],
+    );
+    assert.deepStrictEqual(
+      results.map(({ status }) => status),
+      ['delivered', 'delivered'],
+    );
+  });
+});
@@ -0,0 +1,108 @@
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, mock, it } = require('node:test');
+
+const { createCache } = require('../utils/cache');
+
+describe('cache', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'] });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('only fetches the value once during the TTL', async () => {
+    const fetcher = mock.fn(() => Promise.resolve('12.0.6'));
+    const cache = createCache(fetcher, { ttl: 1000 });
+
+    assert.strictEqual(await cache.get(), '12.0.6');
+    assert.strictEqual(await cache.get(), '12.0.6');
+    assert.strictEqual(fetcher.mock.callCount(), 1);
+
+    mock.timers.tick(1000);
+
+    assert.strictEqual(await cache.get(), '12.0.6');
+    assert.strictEqual(fetcher.mock.callCount(), 2);
+  });
+
+  it('returns when the value was last fetched successfully', async () => {
+    let fail = false;
+    const cache = createCache(
+      () => (fail ? Promise.reject(new Error('Bad')) : Promise.resolve('12')),
+      { ttl: 1000 },
+    );
+
+    assert.strictEqual(cache.getFetchedAt(), undefined);
+
+    await cache.get();
+    const fetchedAt = Date.now();
+    mock.timers.tick(1000);
+    fail = true;
+    await cache.get();
+
+    assert.strictEqual(cache.getFetchedAt(), fetchedAt);
+  });
+
+  it('shares the same lookup for concurrent calls', async () => {
+    const fetcher = mock.fn(() => Promise.resolve('12.0.6'));
+    const cache = createCache(fetcher, { ttl: 1000 });
+
+    await Promise.all([cache.get(), cache.get(), cache.get()]);
+
+    assert.strictEqual(fetcher.mock.callCount(), 1);
+  });
+
+  it('fetches the value again when "refresh" is used', async () => {
+    const fetcher = mock.fn(() => Promise.resolve('12.0.6'));
+    const cache = createCache(fetcher, { ttl: 1000 });
+
+    await cache.get();
+    fetcher.mock.mockImplementation(() => Promise.resolve('12.0.7'));
+
+    assert.strictEqual(await cache.get({ refresh: true }), '12.0.7');
+    assert.strictEqual(fetcher.mock.callCount(), 2);
+  });
+
+  it('fetches again when "refresh" is used during a fetch', async () => {
+    const resolvers = [];
+    const fetcher = mock.fn(
+      () => new Promise((resolve) => resolvers.push(resolve)),
+    );
+    const cache = createCache(fetcher, { ttl: 1000 });
+
+    const stale = cache.get();
+    const refreshed = [
+      cache.get({ refresh: true }),
+      cache.get({ refresh: true }),
+    ];
+
+    // The first fetch started before the release was published
+    resolvers[0]('12.0.6');
+    assert.strictEqual(await stale, '12.0.6');
+
+    await new Promise((resolve) => setImmediate(resolve));
+    resolvers[1]('12.0.7');
+
+    assert.deepStrictEqual(await Promise.all(refreshed), ['12.0.7', '12.0.7']);
+    assert.strictEqual(fetcher.mock.callCount(), 2);
+    assert.strictEqual(await cache.get(), '12.0.7');
+  });
+
+  it('returns the last known value if fetching fails', async () => {
+    const fetcher = mock.fn(() => Promise.resolve('12.0.6'));
+    const cache = createCache(fetcher, { ttl: 1000 });
+
+    await cache.get();
+    fetcher.mock.mockImplementation(() => Promise.reject(new Error('502')));
+
+    assert.strictEqual(await cache.get({ refresh: true }), '12.0.6');
+  });
+
+  it('throws if fetching fails and there is no previous value', async () => {
+    const fetcher = mock.fn(() => Promise.reject(new Error('502')));
+    const cache = createCache(fetcher, { ttl: 1000 });
+
+    await assert.rejects(cache.get(), /502/);
+  });
+});
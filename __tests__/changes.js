@@ -0,0 +1,193 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const {
+  MAX_FILES_PAYLOAD_SIZE,
+  getChangedFiles,
+  getComparedFiles,
+  isEmpty,
+  mergeChangedFiles,
+  toFilesPayload,
+} = require('../utils/changes');
+
+const isDocs = (file) => file.startsWith('docs/');
+
+/**
+ * @param {Partial<{ added: string[], modified: string[], removed: string[] }>} files
+ */
+const commit = (files) => ({ added: [], modified: [], removed: [], ...files });
+
+describe('getChangedFiles', () => {
+  it('deduplicates the files of all the commits', () => {
+    const changedFiles = getChangedFiles(
+      [
+        commit({ modified: ['docs/b.md', 'docs/a.md'] }),
+        commit({ modified: ['docs/a.md'] }),
+      ],
+      isDocs,
+    );
+
+    assert.deepStrictEqual(changedFiles, {
+      added: [],
+      modified: ['docs/a.md', 'docs/b.md'],
+      removed: [],
+      renamed: [],
+    });
+  });
+
+  it('merges the status of a file across commits', () => {
+    const changedFiles = getChangedFiles(
+      [
+        commit({
+          added: ['docs/new.md', 'docs/tmp.md'],
+          removed: ['docs/old.md'],
+        }),
+        commit({ modified: ['docs/new.md'], added: ['docs/old.md'] }),
+        commit({ removed: ['docs/tmp.md'] }),
+      ],
+      isDocs,
+    );
+
+    assert.deepStrictEqual(changedFiles, {
+      added: ['docs/new.md'],
+      modified: ['docs/old.md'],
+      removed: [],
+      renamed: [],
+    });
+  });
+
+  it('only returns the files in the path', () => {
+    const changedFiles = getChangedFiles(
+      [commit({ added: ['shell/app.cc'], removed: ['spec/docs.js'] })],
+      isDocs,
+    );
+
+    assert.strictEqual(isEmpty(changedFiles), true);
+  });
+});
+
+describe('getComparedFiles', () => {
+  it('returns the files in the path per status', () => {
+    const changedFiles = getComparedFiles(
+      [
+        { filename: 'docs/added.md', status: 'added' },
+        { filename: 'docs/copied.md', status: 'copied' },
+        { filename: 'docs/modified.md', status: 'modified' },
+        { filename: 'docs/changed.md', status: 'changed' },
+        { filename: 'docs/removed.md', status: 'removed' },
+        { filename: 'docs/unchanged.md', status: 'unchanged' },
+        { filename: 'shell/app.cc', status: 'modified' },
+      ],
+      isDocs,
+    );
+
+    assert.deepStrictEqual(changedFiles, {
+      added: ['docs/added.md', 'docs/copied.md'],
+      modified: ['docs/changed.md', 'docs/modified.md'],
+      removed: ['docs/removed.md'],
+      renamed: [],
+    });
+  });
+
+  it('reports files renamed into or out of the path as added or removed', () => {
+    const changedFiles = getComparedFiles(
+      [
+        {
+          filename: 'docs/new.md',
+          status: 'renamed',
+          previousFilename: 'docs/old.md',
+        },
+        {
+          filename: 'docs/moved-in.md',
+          status: 'renamed',
+          previousFilename: 'spec/moved-in.md',
+        },
+        {
+          filename: 'spec/moved-out.md',
+          status: 'renamed',
+          previousFilename: 'docs/moved-out.md',
+        },
+      ],
+      isDocs,
+    );
+
+    assert.deepStrictEqual(changedFiles, {
+      added: ['docs/moved-in.md'],
+      modified: [],
+      removed: ['docs/moved-out.md'],
+      renamed: [{ from: 'docs/old.md', to: 'docs/new.md' }],
+    });
+  });
+});
+
+describe('mergeChangedFiles', () => {
+  it('merges the files of consecutive pushes', () => {
+    const merged = mergeChangedFiles(
+      {
+        added: ['docs/new.md', 'docs/tmp.md'],
+        modified: ['docs/a.md'],
+        removed: ['docs/old.md'],
+        renamed: [{ from: 'docs/x.md', to: 'docs/y.md' }],
+      },
+      {
+        added: [],
+        modified: ['docs/new.md', 'docs/b.md'],
+        removed: ['docs/tmp.md'],
+        renamed: [{ from: 'docs/x.md', to: 'docs/y.md' }],
+      },
+    );
+
+    assert.deepStrictEqual(merged, {
+      added: ['docs/new.md'],
+      modified: ['docs/a.md', 'docs/b.md'],
+      removed: ['docs/old.md'],
+      renamed: [{ from: 'docs/x.md', to: 'docs/y.md' }],
+    });
+  });
+});
+
+describe('toFilesPayload', () => {
+  it('drops the lists of files if they are too big', () => {
+    const added = [];
+    for (
+      let i = 0;
+      JSON.stringify(added).length <= MAX_FILES_PAYLOAD_SIZE;
+      i++
+    ) {
+      added.push(`docs/api/file-${i}.md`);
+    }
+
+    assert.deepStrictEqual(
+      toFilesPayload({ added, modified: [], removed: [], renamed: [] }),
+      { files: null, filesTruncated: true },
+    );
+  });
+
+  it('drops the lists of files if they are incomplete', () => {
+    const files = {
+      added: ['docs/a.md'],
+      modified: [],
+      removed: [],
+      renamed: [],
+    };
+
+    assert.deepStrictEqual(toFilesPayload(files, false), {
+      files: null,
+      filesTruncated: true,
+    });
+  });
+
+  it('keeps the lists of files if they fit', () => {
+    const files = {
+      added: ['docs/a.md'],
+      modified: [],
+      removed: [],
+      renamed: [],
+    };
+
+    assert.deepStrictEqual(toFilesPayload(files), {
+      files,
+      filesTruncated: false,
+    });
+  });
+});
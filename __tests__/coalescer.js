@@ -0,0 +1,83 @@
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, mock, it } = require('node:test');
+
+const { createCoalescer } = require('../utils/coalescer');
+
+describe('coalescer', () => {
+  let send;
+  let coalescer;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    send = mock.fn(() => Promise.resolve());
+    coalescer = createCoalescer({
+      wait: 1000,
+      maxWait: 5000,
+      merge: (older, newer) => ({
+        sha: newer.sha,
+        shas: [...older.shas, ...newer.shas],
+      }),
+      send,
+    });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('sends a single merged value for a burst', () => {
+    coalescer.add('12-x-y', { sha: 'a', shas: ['a'] });
+    mock.timers.tick(500);
+    coalescer.add('12-x-y', { sha: 'b', shas: ['b'] });
+    mock.timers.tick(500);
+    coalescer.add('12-x-y', { sha: 'c', shas: ['c'] });
+
+    assert.strictEqual(send.mock.callCount(), 0);
+
+    mock.timers.tick(1000);
+
+    assert.strictEqual(send.mock.callCount(), 1);
+    assert.deepStrictEqual(send.mock.calls[0].arguments[0], {
+      sha: 'c',
+      shas: ['a', 'b', 'c'],
+    });
+  });
+
+  it('keeps the values of different keys apart', () => {
+    coalescer.add('12-x-y', { sha: 'a', shas: ['a'] });
+    coalescer.add('13-x-y', { sha: 'b', shas: ['b'] });
+
+    mock.timers.tick(1000);
+
+    assert.strictEqual(send.mock.callCount(), 2);
+  });
+
+  it('does not hold a value for longer than "maxWait"', () => {
+    for (let i = 0; i < 10; i++) {
+      coalescer.add('12-x-y', { sha: `${i}`, shas: [`${i}`] });
+      mock.timers.tick(900);
+    }
+
+    assert.strictEqual(send.mock.callCount(), 1);
+    assert.deepStrictEqual(send.mock.calls[0].arguments[0].shas, [
+      '0',
+      '1',
+      '2',
+      '3',
+      '4',
+      '5',
+    ]);
+  });
+
+  it('sends the pending values when flushed', async () => {
+    coalescer.add('12-x-y', { sha: 'a', shas: ['a'] });
+
+    await coalescer.flush();
+
+    assert.strictEqual(send.mock.callCount(), 1);
+
+    mock.timers.tick(1000);
+
+    assert.strictEqual(send.mock.callCount(), 1);
+  });
+});
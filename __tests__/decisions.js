@@ -0,0 +1,127 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { getPushDecision, getReleaseDecision } = require('../utils/decisions');
+const { parseRules } = require('../utils/rules');
+
+const [rule] = parseRules({
+  rules: [
+    {
+      name: 'electron docs',
+      source: 'electron/electron',
+      branches: '^(\\d+-x-y|main)$',
+      paths: ['docs/**'],
+      targets: ['electron/website'],
+      events: {
+        branch: 'doc_changes_branches',
+        latest: 'doc_changes',
+        release: { published: 'release_published' },
+      },
+    },
+  ],
+});
+
+const latestInformation = {
+  version: '12.0.6',
+  branch: '12-x-y',
+  prereleaseBranches: ['13-x-y'],
+};
+
+const changedFiles = {
+  added: [],
+  modified: ['docs/README.md'],
+  removed: [],
+  renamed: [],
+};
+
+/**
+ * Returns a `push` payload for `ref`
+ * @param {string} ref
+ */
+const getPush = (ref) => {
+  return {
+    ref,
+    repository: { full_name: 'electron/electron', default_branch: 'main' },
+  };
+};
+
+describe('decisions', () => {
+  it('sends the events of the rule with a "dispatched" reason', () => {
+    const decision = getPushDecision(
+      rule,
+      latestInformation,
+      getPush('refs/heads/12-x-y'),
+      changedFiles,
+    );
+
+    assert.strictEqual(decision.send, true);
+    assert.strictEqual(decision.reason, 'dispatched');
+    assert.deepStrictEqual(decision.eventTypes, [
+      'doc_changes_branches',
+      'doc_changes',
+    ]);
+  });
+
+  it('explains why a push is skipped', () => {
+    const reasons = [
+      [{ ...getPush('refs/heads/12-x-y'), repository: { full_name: 'a/b' } }],
+      [getPush('refs/tags/v12.0.6')],
+      [getPush('refs/heads/feature')],
+      [getPush('refs/heads/12-x-y'), { ...changedFiles, modified: [] }],
+      [getPush('refs/heads/14-x-y')],
+      [getPush('refs/heads/main')],
+    ].map(
+      ([payload, files = changedFiles]) =>
+        getPushDecision(rule, latestInformation, payload, files).reason,
+    );
+
+    assert.deepStrictEqual(reasons, [
+      'wrong-source',
+      'not-a-branch',
+      'branch-not-matched',
+      'no-docs-changes',
+      'unreleased-major',
+      'no-event-for-branch',
+    ]);
+  });
+
+  it('includes the details of the decision', () => {
+    const decision = getPushDecision(
+      rule,
+      latestInformation,
+      getPush('refs/heads/14-x-y'),
+      changedFiles,
+    );
+
+    assert.deepStrictEqual(decision.details, {
+      branch: '14-x-y',
+      latest: '12-x-y',
+    });
+  });
+
+  it('explains why a release is skipped', () => {
+    const getRelease = (action, release) => ({
+      action,
+      repository: { full_name: 'electron/electron' },
+      release: { tag_name: 'v12.0.6', draft: false, ...release },
+    });
+
+    assert.strictEqual(
+      getReleaseDecision(rule, getRelease('published', { draft: true })).reason,
+      'draft-release',
+    );
+    assert.strictEqual(
+      getReleaseDecision(rule, getRelease('published', { tag_name: 'nightly' }))
+        .reason,
+      'invalid-tag',
+    );
+    assert.strictEqual(
+      getReleaseDecision(rule, getRelease('edited')).reason,
+      'action-not-handled',
+    );
+    assert.deepStrictEqual(
+      getReleaseDecision(rule, getRelease('published')).eventTypes,
+      ['release_published'],
+    );
+  });
+});
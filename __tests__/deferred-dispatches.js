@@ -0,0 +1,166 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
+const { setImmediate: tick } = require('node:timers/promises');
+const { after, afterEach, beforeEach, describe, it } = require('node:test');
+
+process.env.RULES_FILE = join(__dirname, 'fixtures', 'rules.json');
+process.env.DELIVERIES_FILE = join(
+  tmpdir(),
+  `deferred-deliveries-${process.pid}.jsonl`,
+);
+process.env.DISPATCH_DEBOUNCE = '60';
+
+const {
+  freePort,
+  getPayload,
+  getPort,
+  mockUtils,
+} = require('./helpers/server');
+
+const utils = mockUtils();
+
+const { start } = require('../index');
+
+/**
+ * Sends a push to `branch`, `main` being the default branch, and
+ * resolves with the status of its dispatches
+ * @param {any} server
+ * @param {string} branch
+ * @param {string} sha
+ */
+const push = async (server, branch, sha) => {
+  const payload = await getPayload('push');
+  payload.repository.default_branch = 'main';
+
+  const response = await fetch(`http://localhost:${server.port}/webhook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-GitHub-Event': 'push',
+    },
+    body: JSON.stringify({
+      ...payload,
+      ref: `refs/heads/${branch}`,
+      after: sha,
+    }),
+  });
+
+  assert.strictEqual(response.status, 200);
+
+  const { dispatches } = await response.json();
+
+  return dispatches.map(({ status }) => status);
+};
+
+/**
+ * Closes the server and waits for the deferred dispatches to be sent
+ * @param {any} server
+ */
+const stop = async (server) => {
+  await new Promise((resolve) => server.close(resolve));
+  await tick();
+};
+
+describe('deferred dispatches', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await start(getPort());
+    utils.sendRepositoryDispatchEvent.mock.resetCalls();
+  });
+
+  afterEach(async () => {
+    // A failed test would keep the server and its timers running
+    if (server.listening) {
+      await stop(server);
+    }
+    freePort(server.port);
+  });
+
+  after(async () => {
+    await fs.rm(process.env.DELIVERIES_FILE, { force: true });
+  });
+
+  it('sends the coalesced dispatches when the server is closed', async () => {
+    const since = new Date();
+
+    for (const sha of [
+      'd07ca4f716c62d6f4a481a74b54b448b95bbe3d9',
+      '8f3b2a6b1e0c4d5f9a7e6c3b2a1d0e9f8c7b6a5d',
+    ]) {
+      assert.deepStrictEqual(await push(server, '12-x-y', sha), [
+        'deferred',
+        'deferred',
+      ]);
+    }
+
+    assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 0);
+
+    await stop(server);
+
+    const calls = utils.sendRepositoryDispatchEvent.mock.calls;
+    assert.deepStrictEqual(
+      calls.map(({ arguments: [, , eventType, payload] }) => [
+        eventType,
+        payload.sha,
+      ]),
+      [
+        ['doc_changes_branches', '8f3b2a6b1e0c4d5f9a7e6c3b2a1d0e9f8c7b6a5d'],
+        ['doc_changes', '8f3b2a6b1e0c4d5f9a7e6c3b2a1d0e9f8c7b6a5d'],
+      ],
+    );
+
+    // Both deliveries get the ID of the dispatch they were merged in
+    const deliveries = utils
+      .getAuditLog()
+      .query({ branch: '12-x-y', since }, () => 'pending');
+    assert.deepStrictEqual(
+      deliveries.map(({ dispatches }) => dispatches.map(({ id }) => id)),
+      [
+        [
+          'a0c3f2b4-0b5e-4d3f-9d8e-2f6c1e7b9a10',
+          'a0c3f2b4-0b5e-4d3f-9d8e-2f6c1e7b9a10',
+        ],
+        [
+          'a0c3f2b4-0b5e-4d3f-9d8e-2f6c1e7b9a10',
+          'a0c3f2b4-0b5e-4d3f-9d8e-2f6c1e7b9a10',
+        ],
+      ],
+    );
+  });
+
+  it('sends the throttled nightly dispatches when the server is closed', async () => {
+    const since = new Date();
+
+    assert.deepStrictEqual(
+      await push(server, 'main', 'd07ca4f716c62d6f4a481a74b54b448b95bbe3d9'),
+      ['pending'],
+    );
+    assert.deepStrictEqual(
+      await push(server, 'main', '8f3b2a6b1e0c4d5f9a7e6c3b2a1d0e9f8c7b6a5d'),
+      ['deferred'],
+    );
+
+    await stop(server);
+
+    const calls = utils.sendRepositoryDispatchEvent.mock.calls;
+    assert.deepStrictEqual(
+      calls.map(({ arguments: [, , eventType, payload] }) => [
+        eventType,
+        payload.sha,
+      ]),
+      [
+        ['doc_changes_nightly', 'd07ca4f716c62d6f4a481a74b54b448b95bbe3d9'],
+        ['doc_changes_nightly', '8f3b2a6b1e0c4d5f9a7e6c3b2a1d0e9f8c7b6a5d'],
+      ],
+    );
+
+    const [held] = utils
+      .getAuditLog()
+      .query({ branch: 'main', since }, () => 'pending');
+    assert.strictEqual(held.sha, '8f3b2a6b1e0c4d5f9a7e6c3b2a1d0e9f8c7b6a5d');
+    assert.strictEqual(held.status, 'pending');
+  });
+});
@@ -0,0 +1,218 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { afterEach, beforeEach, describe, mock, it } = require('node:test');
+
+const { createDispatchQueue, isRetryable } = require('../utils/dispatch-queue');
+
+const dispatch = {
+  owner: 'electron',
+  repo: 'website',
+  eventType: 'doc_changes',
+  payload: {
+    branch: '12-x-y',
+    sha: 'd07ca4f716c62d6f4a481a74b54b448b95bbe3d9',
+  },
+};
+
+/**
+ * Returns an error like the ones thrown by Octokit
+ * @param {number} status
+ */
+const httpError = (status) => {
+  return Object.assign(new Error(`HTTP ${status}`), { status });
+};
+
+describe('dispatch queue', () => {
+  let directory;
+  let file;
+  const queues = [];
+
+  /**
+   * @param {Partial<Parameters<typeof createDispatchQueue>[0]>} options
+   */
+  const createQueue = (options) => {
+    const queue = createDispatchQueue({
+      file,
+      send: () => Promise.resolve(),
+      baseDelay: 1,
+      maxDelay: 5,
+      ...options,
+    });
+    queues.push(queue);
+
+    return queue;
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(join(tmpdir(), 'dispatch-queue-'));
+    file = join(directory, 'queue.jsonl');
+  });
+
+  afterEach(() => {
+    queues.splice(0).forEach((queue) => queue.close());
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('sends the dispatch right away', async () => {
+    const send = mock.fn(() => Promise.resolve());
+    const queue = createQueue({ send });
+
+    const entry = await queue.enqueue(dispatch);
+
+    assert.strictEqual(entry.status, 'delivered');
+    assert.strictEqual(send.mock.callCount(), 1);
+    assert.strictEqual(
+      send.mock.calls[0].arguments[0].eventType,
+      'doc_changes',
+    );
+    assert.deepStrictEqual(queue.listPending(), []);
+  });
+
+  it('retries failed dispatches until they are sent', async () => {
+    const send = mock.fn(() => Promise.reject(httpError(502)));
+    const queue = createQueue({ send });
+
+    const entry = await queue.enqueue(dispatch);
+
+    assert.strictEqual(entry.status, 'pending');
+    assert.strictEqual(queue.listPending().length, 1);
+
+    send.mock.mockImplementation(() => Promise.resolve());
+    await sleep(50);
+
+    assert.strictEqual(entry.status, 'delivered');
+    assert.strictEqual(send.mock.callCount(), 2);
+    assert.deepStrictEqual(queue.listPending(), []);
+  });
+
+  it('moves dispatches to the dead letters after "maxAttempts"', async () => {
+    const send = mock.fn(() => Promise.reject(httpError(503)));
+    const queue = createQueue({ send, maxAttempts: 3 });
+
+    await queue.enqueue(dispatch);
+    await sleep(50);
+
+    assert.strictEqual(send.mock.callCount(), 3);
+    assert.strictEqual(queue.listDeadLetters().length, 1);
+    assert.strictEqual(queue.listDeadLetters()[0].lastError, 'HTTP 503');
+  });
+
+  it('returns the status of the dispatches not delivered yet', async () => {
+    let fail = true;
+    const queue = createQueue({
+      send: () => (fail ? Promise.reject(httpError(502)) : Promise.resolve()),
+      baseDelay: 20,
+      maxDelay: 20,
+    });
+
+    const entry = await queue.enqueue(dispatch);
+
+    assert.strictEqual(queue.getStatus(entry.id), 'pending');
+
+    fail = false;
+    await sleep(50);
+
+    assert.strictEqual(queue.getStatus(entry.id), undefined);
+  });
+
+  it('does not retry dispatches GitHub will never accept', async () => {
+    const send = mock.fn(() => Promise.reject(httpError(422)));
+    const queue = createQueue({ send });
+
+    const entry = await queue.enqueue(dispatch);
+
+    assert.strictEqual(entry.status, 'dead');
+    assert.strictEqual(send.mock.callCount(), 1);
+  });
+
+  it('requeues dead letters', async () => {
+    const send = mock.fn(() => Promise.reject(httpError(404)));
+    const queue = createQueue({ send });
+
+    const { id } = await queue.enqueue(dispatch);
+    send.mock.mockImplementation(() => Promise.resolve());
+
+    const entry = await queue.requeue(id);
+
+    assert.strictEqual(entry.status, 'delivered');
+    assert.deepStrictEqual(queue.listDeadLetters(), []);
+    assert.strictEqual(await queue.requeue('unknown'), undefined);
+  });
+
+  it('resumes pending dispatches and keeps dead letters after a restart', async () => {
+    const failing = createQueue({
+      send: () => Promise.reject(httpError(500)),
+      baseDelay: 60 * 1000,
+      maxDelay: 60 * 1000,
+    });
+    await failing.enqueue(dispatch);
+    await failing.enqueue({ ...dispatch, eventType: 'doc_changes_branches' });
+    await createQueue({
+      send: () => Promise.reject(httpError(422)),
+    }).enqueue(dispatch);
+    failing.close();
+
+    const send = mock.fn(() => Promise.resolve());
+    const queue = createQueue({ send });
+    queue.load();
+
+    assert.strictEqual(queue.listPending().length, 2);
+    assert.strictEqual(queue.listDeadLetters().length, 1);
+
+    // The retries of the previous process were scheduled in a minute
+    assert.strictEqual(send.mock.callCount(), 0);
+  });
+
+  it('compacts the journal when loading it', async () => {
+    await createQueue({}).enqueue(dispatch);
+
+    createQueue({}).load();
+
+    assert.strictEqual(fs.readFileSync(file, 'utf-8'), '');
+  });
+
+  it('compacts the journal once enough lines have been appended', async () => {
+    const queue = createQueue({
+      send: (entry) =>
+        entry.eventType === 'doc_changes'
+          ? Promise.resolve()
+          : Promise.reject(httpError(422)),
+      compactAfter: 4,
+    });
+
+    await queue.enqueue({ ...dispatch, eventType: 'doc_changes_branches' });
+    await queue.enqueue(dispatch);
+
+    const lines = fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean);
+
+    // Only the dead letter is left of the 4 lines appended
+    assert.strictEqual(lines.length, 1);
+    assert.strictEqual(JSON.parse(lines[0]).status, 'dead');
+    assert.strictEqual(queue.listDeadLetters().length, 1);
+  });
+});
+
+describe('isRetryable', () => {
+  it('retries network errors, 5xx and rate limits', () => {
+    assert.strictEqual(isRetryable(new Error('ECONNRESET')), true);
+    assert.strictEqual(isRetryable(httpError(500)), true);
+    assert.strictEqual(isRetryable(httpError(429)), true);
+    assert.strictEqual(
+      isRetryable(
+        Object.assign(httpError(403), {
+          response: { headers: { 'x-ratelimit-remaining': '0' } },
+        }),
+      ),
+      true,
+    );
+  });
+
+  it('does not retry other client errors', () => {
+    assert.strictEqual(isRetryable(httpError(403)), false);
+    assert.strictEqual(isRetryable(httpError(404)), false);
+    assert.strictEqual(isRetryable(httpError(422)), false);
+  });
+});
@@ -0,0 +1,97 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
+const { after, describe, it } = require('node:test');
+
+const directory = fs.mkdtempSync(join(tmpdir(), 'dry-run-'));
+process.env.DRY_RUN = 'true';
+process.env.DISPATCH_QUEUE_FILE = join(directory, 'queue.jsonl');
+
+// Dispatches left by a real run
+const journal = ['pending', 'dead']
+  .map((status, index) =>
+    JSON.stringify({
+      id: `${index}`,
+      owner: 'electron',
+      repo: 'website',
+      eventType: 'doc_changes',
+      payload: { branch: '12-x-y', sha: 'd07ca4f' },
+      status,
+      attempts: 1,
+      createdAt: '2021-10-25T15:10:59.000Z',
+    }),
+  )
+  .map((line) => `${line}\n`)
+  .join('');
+fs.writeFileSync(process.env.DISPATCH_QUEUE_FILE, journal);
+
+const {
+  getDispatchQueue,
+  getDryRunDispatches,
+  isDryRun,
+  sendRepositoryDispatchEvent,
+} = require('../utils/utils');
+const { withLogContext } = require('../utils/logger');
+
+describe('dry run', () => {
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('records the dispatches instead of sending them', async () => {
+    const payload = { branch: '12-x-y', sha: 'd07ca4f' };
+
+    // No GitHub credentials are set, sending for real would fail
+    const record = await withLogContext({ deliveryId: '1' }, () =>
+      sendRepositoryDispatchEvent(
+        'electron',
+        'website',
+        'doc_changes',
+        payload,
+      ),
+    );
+
+    assert.strictEqual(isDryRun(), true);
+    assert.strictEqual(record.status, 'dry-run');
+    assert.deepStrictEqual(getDryRunDispatches(), [record]);
+    assert.deepStrictEqual(
+      {
+        owner: record.owner,
+        repo: record.repo,
+        eventType: record.eventType,
+        payload: record.payload,
+        deliveryId: record.deliveryId,
+      },
+      {
+        owner: 'electron',
+        repo: 'website',
+        eventType: 'doc_changes',
+        payload,
+        deliveryId: '1',
+      },
+    );
+    assert.deepStrictEqual(getDispatchQueue().listPending(), []);
+  });
+
+  it('leaves the journal of the dispatch queue untouched', async () => {
+    const queue = getDispatchQueue();
+
+    assert.deepStrictEqual(queue.listPending(), []);
+    assert.strictEqual(await queue.requeue('1'), undefined);
+    assert.strictEqual(
+      fs.readFileSync(process.env.DISPATCH_QUEUE_FILE, 'utf-8'),
+      journal,
+    );
+  });
+
+  it('lists the newest dispatches first', async () => {
+    await sendRepositoryDispatchEvent('electron', 'website', 'first', {});
+    await sendRepositoryDispatchEvent('electron', 'website', 'second', {});
+
+    const [newest, previous] = getDryRunDispatches();
+
+    assert.strictEqual(newest.eventType, 'second');
+    assert.strictEqual(previous.eventType, 'first');
+  });
+});
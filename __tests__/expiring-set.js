@@ -0,0 +1,56 @@
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, mock, it } = require('node:test');
+
+const { createExpiringSet } = require('../utils/expiring-set');
+
+describe('expiring set', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'] });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('forgets the keys after the TTL', () => {
+    const set = createExpiringSet({ ttl: 1000, maxSize: 10 });
+
+    set.add('a');
+    mock.timers.tick(500);
+    set.add('b');
+
+    assert.strictEqual(set.has('a'), true);
+
+    mock.timers.tick(500);
+
+    assert.strictEqual(set.has('a'), false);
+    assert.strictEqual(set.has('b'), true);
+  });
+
+  it('drops the oldest keys when it is full', () => {
+    const set = createExpiringSet({ ttl: 1000, maxSize: 2 });
+
+    set.add('a');
+    set.add('b');
+    set.add('c');
+
+    assert.strictEqual(set.has('a'), false);
+    assert.strictEqual(set.has('b'), true);
+    assert.strictEqual(set.has('c'), true);
+  });
+
+  it('refreshes the expiration of keys added again', () => {
+    const set = createExpiringSet({ ttl: 1000, maxSize: 10 });
+
+    set.add('a');
+    mock.timers.tick(500);
+    set.add('a');
+    mock.timers.tick(500);
+
+    assert.strictEqual(set.has('a'), true);
+
+    set.remove('a');
+
+    assert.strictEqual(set.has('a'), false);
+  });
+});
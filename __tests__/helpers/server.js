@@ -0,0 +1,122 @@
+const fs = require('node:fs/promises');
+const { join } = require('node:path');
+const { mock } = require('node:test');
+
+const utils = require('../../utils/utils');
+
+const webhookSecrets = [
+  { name: 'WEBHOOK_SECRET', secret: 'secret', expiresAt: null },
+];
+
+const deadLetter = {
+  id: '7f8d4a5e-3b7a-4a4e-9a43-1c1b0f0a2b11',
+  owner: 'electron',
+  repo: 'website',
+  eventType: 'doc_changes',
+  payload: {
+    branch: '12-x-y',
+    sha: 'd07ca4f716c62d6f4a481a74b54b448b95bbe3d9',
+  },
+  status: 'dead',
+  attempts: 8,
+  createdAt: '2021-10-25T15:10:59.000Z',
+  lastError: 'Server Error',
+};
+const dispatchQueue = {
+  getStatus: mock.fn(() => undefined),
+  listPending: mock.fn(() => []),
+  listDeadLetters: mock.fn(() => [deadLetter]),
+  requeue: mock.fn((id) =>
+    Promise.resolve(
+      id === deadLetter.id
+        ? { ...deadLetter, status: 'delivered', attempts: 1 }
+        : undefined,
+    ),
+  ),
+};
+
+const dryRunDispatch = {
+  id: 'e3c1a9f2-5d6b-4c1e-8f2a-7b9d0c4e6a15',
+  owner: 'electron',
+  repo: 'website',
+  eventType: 'doc_changes',
+  payload: deadLetter.payload,
+  status: 'dry-run',
+  createdAt: '2021-10-25T15:10:59.000Z',
+};
+
+/**
+ * Replaces the utils talking to GitHub with mocks. It has to be called
+ * before `../index` is required, as the routes keep the utils they use.
+ */
+const mockUtils = () => {
+  utils.sendRepositoryDispatchEvent = mock.fn(() =>
+    Promise.resolve({
+      id: 'a0c3f2b4-0b5e-4d3f-9d8e-2f6c1e7b9a10',
+      status: 'pending',
+    }),
+  );
+  utils.compareCommits = mock.fn(() =>
+    Promise.resolve({ files: [], complete: true }),
+  );
+  utils.getBranchHead = mock.fn(() =>
+    Promise.resolve('8b1b5a8c4b8e6e6c2ed2b7d0d8f4c1a6b6e0f3c2'),
+  );
+  utils.getDefaultBranch = mock.fn(() => Promise.resolve('main'));
+  utils.getAuthorization = mock.fn(() => ({ auth: 'token' }));
+  utils.getReleasesFetchedAt = mock.fn(() => Date.now());
+  utils.getWebhookSecrets = mock.fn(() => webhookSecrets);
+  utils.getLatestInformation = mock.fn(() =>
+    Promise.resolve({
+      version: '12.0.6',
+      branch: '12-x-y',
+      prereleaseBranches: ['13-x-y'],
+    }),
+  );
+  utils.getDispatchQueue = mock.fn(() => dispatchQueue);
+  utils.getDryRunDispatches = mock.fn(() => [dryRunDispatch]);
+  utils.isDryRun = mock.fn(() => false);
+
+  return utils;
+};
+
+const fixtures = {
+  push: join(__dirname, '..', 'fixtures', 'push.json'),
+  release: join(__dirname, '..', 'fixtures', 'release.json'),
+};
+
+/**
+ * Returns a fresh payload
+ * @param {'push'|'release'} name
+ */
+const getPayload = async (name) => {
+  const content = await fs.readFile(fixtures[name], 'utf-8');
+  return JSON.parse(content);
+};
+
+const ports = new Set();
+const getPort = () => {
+  let port = Math.ceil(Math.random() * 65536);
+
+  if (ports.has(port) || port < 3000) {
+    port = getPort();
+  }
+  ports.add(port);
+
+  return port;
+};
+
+const freePort = (port) => {
+  ports.delete(port);
+};
+
+module.exports = {
+  deadLetter,
+  dispatchQueue,
+  dryRunDispatch,
+  freePort,
+  getPayload,
+  getPort,
+  mockUtils,
+  webhookSecrets,
+};
@@ -1,47 +1,57 @@
 const assert = require('node:assert/strict');
 const fs = require('node:fs/promises');
+const { tmpdir } = require('node:os');
 const { join } = require('node:path');
-const { afterEach, beforeEach, describe, mock, it } = require('node:test');
+const { after, afterEach, beforeEach, describe, it } = require('node:test');
 
-const utils = require('../utils/utils');
-utils.sendRepositoryDispatchEvent = mock.fn(() => Promise.resolve(''));
-utils.getLatestInformation = mock.fn(() =>
-  Promise.resolve({
-    version: '12.0.6',
-    branch: '12-x-y',
-  }),
-);
+process.env.ADMIN_TOKEN = 'admin-token';
+process.env.RULES_FILE = join(__dirname, 'fixtures', 'rules.json');
+process.env.DELIVERIES_FILE = join(tmpdir(), `deliveries-${process.pid}.jsonl`);
 
-const { start } = require('../index');
+const {
+  deadLetter,
+  dispatchQueue,
+  dryRunDispatch,
+  freePort,
+  getPayload,
+  getPort,
+  mockUtils,
+  webhookSecrets,
+} = require('./helpers/server');
 
-const fixtures = {
-  push: join(__dirname, 'fixtures', 'push.json'),
-  release: join(__dirname, 'fixtures', 'release.json'),
-};
+const utils = mockUtils();
+
+const { start } = require('../index');
 
 /**
- * Returns a fresh payload
- * @param {'push'|'release'} name
+ * Returns the `client_payload` expected for the push fixture
+ * @param {string} branch
  */
-const getPayload = async (name) => {
-  const content = await fs.readFile(fixtures[name], 'utf-8');
-  return JSON.parse(content);
-};
-
-const ports = new Set();
-const getPort = () => {
-  let port = Math.ceil(Math.random() * 65536);
-
-  if (ports.has(port) || port < 3000) {
-    port = getPort();
-  }
-  ports.add(port);
-
-  return port;
+const getPushDispatchPayload = (branch) => {
+  return {
+    sha: 'd07ca4f716c62d6f4a481a74b54b448b95bbe3d9',
+    branch,
+    defaultBranch: false,
+    before: '5daeed517637d7b9bac60f3bb70e1028e6d6abea',
+    after: 'd07ca4f716c62d6f4a481a74b54b448b95bbe3d9',
+    files: {
+      added: [],
+      modified: ['docs/README.md'],
+      removed: [],
+      renamed: [],
+    },
+    filesTruncated: false,
+  };
 };
 
-const freePort = (port) => {
-  ports.delete(port);
+/**
+ * Returns the reason of the decision taken for the rule `name` in the
+ * response body of `/webhook`
+ * @param {{ rules: { rule: string, reason: string }[] }} body
+ * @param {string} [name]
+ */
+const getReason = (body, name = 'electron docs') => {
+  return body.rules.find(({ rule }) => rule === name).reason;
 };
 
 describe('webhook server', () => {
@@ -52,6 +62,11 @@ describe('webhook server', () => {
     server = await start(port);
     utils.sendRepositoryDispatchEvent.mock.resetCalls();
     utils.getLatestInformation.mock.resetCalls();
+    utils.compareCommits.mock.resetCalls();
+    utils.getBranchHead.mock.resetCalls();
+    utils.compareCommits.mock.mockImplementation(() =>
+      Promise.resolve({ files: [], complete: true }),
+    );
   });
 
   afterEach(() => {
@@ -59,6 +74,10 @@ describe('webhook server', () => {
     freePort(server.port);
   });
 
+  after(async () => {
+    await fs.rm(process.env.DELIVERIES_FILE, { force: true });
+  });
+
   it.only('responds to /', async () => {
     const response = await fetch(`http://localhost:${server.port}/`);
 
@@ -74,6 +93,145 @@ describe('webhook server', () => {
     assert.strictEqual(response.status, 404);
   });
 
+  it('exposes the metrics of the received webhooks', async () => {
+    const payload = await getPayload('push');
+
+    await fetch(`http://localhost:${server.port}/webhook`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-GitHub-Event': 'push',
+      },
+      body: JSON.stringify(payload),
+    });
+
+    const response = await fetch(`http://localhost:${server.port}/metrics`);
+    const metrics = await response.text();
+
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('Content-Type'), /^text\/plain/);
+    assert.match(
+      metrics,
+      /^website_updater_webhooks_received_total\{event="push"\} [1-9]\d*$/m,
+    );
+    assert.match(
+      metrics,
+      /^website_updater_dispatch_decisions_total\{event="push",reason="dispatched"\} [1-9]\d*$/m,
+    );
+  });
+
+  describe('health', () => {
+    afterEach(() => {
+      utils.getWebhookSecrets.mock.mockImplementation(() => webhookSecrets);
+      dispatchQueue.listPending.mock.mockImplementation(() => []);
+    });
+
+    it('responds to /healthz', async () => {
+      const response = await fetch(`http://localhost:${server.port}/healthz`);
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(await response.json(), { status: 'ok' });
+    });
+
+    it('is ready when all the checks pass', async () => {
+      const response = await fetch(`http://localhost:${server.port}/readyz`);
+      const body = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(body.status, 'ok');
+      assert.deepStrictEqual(Object.keys(body.checks), [
+        'authorization',
+        'releases',
+        'webhookSecret',
+        'dispatchQueue',
+      ]);
+    });
+
+    it('is not ready without a webhook secret', async () => {
+      utils.getWebhookSecrets.mock.mockImplementation(() => []);
+
+      const response = await fetch(`http://localhost:${server.port}/readyz`);
+      const body = await response.json();
+
+      assert.strictEqual(response.status, 503);
+      assert.strictEqual(body.status, 'fail');
+      assert.strictEqual(body.checks.webhookSecret.status, 'fail');
+      assert.strictEqual(body.checks.authorization.status, 'ok');
+    });
+
+    it('is not ready when all the webhook secrets have expired', async () => {
+      utils.getWebhookSecrets.mock.mockImplementation(() => [
+        { ...webhookSecrets[0], expiresAt: Date.now() - 1000 },
+      ]);
+
+      const response = await fetch(`http://localhost:${server.port}/readyz`);
+      const body = await response.json();
+
+      assert.strictEqual(response.status, 503);
+      assert.deepStrictEqual(body.checks.webhookSecret, {
+        status: 'fail',
+        message: 'All the webhook secrets have expired',
+      });
+    });
+
+    it('is not ready when the dispatch queue is backed up', async () => {
+      dispatchQueue.listPending.mock.mockImplementation(() =>
+        new Array(100).fill(deadLetter),
+      );
+
+      const response = await fetch(`http://localhost:${server.port}/readyz`);
+      const body = await response.json();
+
+      assert.strictEqual(response.status, 503);
+      assert.deepStrictEqual(body.checks.dispatchQueue, {
+        status: 'fail',
+        message: '100 dispatches are waiting for a retry',
+        pending: 100,
+        deadLetters: 1,
+      });
+    });
+  });
+
+  describe('payload', () => {
+    it('parses the raw payload after verifying it', async () => {
+      const payload = await getPayload('push');
+
+      const response = await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'push',
+        },
+        body: JSON.stringify(payload, null, 2).replace(
+          '"docs/README.md"',
+          '"docs/\\u0052EADME.md"',
+        ),
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 2);
+      assert.deepStrictEqual(
+        utils.sendRepositoryDispatchEvent.mock.calls[0].arguments[3].files
+          .modified,
+        ['docs/README.md'],
+      );
+    });
+
+    it('returns a 400 when the payload is not valid JSON', async () => {
+      const response = await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'push',
+        },
+        body: '{"ref": ',
+      });
+
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 0);
+    });
+  });
+
   describe('push event', () => {
     it('does not send a "repository_dispatch" when a "push" does not contain doc changes', async () => {
       const payload = await getPayload('push');
@@ -90,6 +248,63 @@ describe('webhook server', () => {
 
       assert.strictEqual(response.status, 200);
       assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 0);
+      assert.strictEqual(getReason(await response.json()), 'no-docs-changes');
+    });
+
+    it('responds with the decision taken for each rule', async () => {
+      const payload = await getPayload('push');
+
+      const response = await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'push',
+        },
+        body: JSON.stringify(payload),
+      });
+      const body = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(body.decision, 'dispatched');
+      assert.deepStrictEqual(body.rules, [
+        {
+          rule: 'electron docs',
+          send: true,
+          reason: 'dispatched',
+          details: {},
+          eventTypes: ['doc_changes_branches', 'doc_changes'],
+        },
+        {
+          rule: 'electron nightly docs',
+          send: false,
+          reason: 'branch-not-matched',
+          details: { branch: '12-x-y', branches: '^main$' },
+          eventTypes: [],
+        },
+      ]);
+      assert.strictEqual(body.dispatches.length, 2);
+    });
+
+    it('does not send a "repository_dispatch" when a "push" only changes files with "docs" in their path', async () => {
+      const payload = await getPayload('push');
+      payload.commits[0].modified = [
+        'spec/fixtures/docs/foo.js',
+        'shell/docs_helper.cc',
+        'README-docs.md',
+      ];
+
+      const response = await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'push',
+        },
+        body: JSON.stringify(payload),
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 0);
+      assert.strictEqual(getReason(await response.json()), 'no-docs-changes');
     });
 
     it('does send a "repository_dispatch" when a "push" is for the non stable branch with "doc_changes_branches"', async () => {
@@ -113,7 +328,7 @@ describe('webhook server', () => {
           'electron',
           'website',
           'doc_changes_branches',
-          { branch: '1-x-y', sha: 'd07ca4f716c62d6f4a481a74b54b448b95bbe3d9' },
+          getPushDispatchPayload('1-x-y'),
         ],
       );
     });
@@ -138,7 +353,7 @@ describe('webhook server', () => {
           'electron',
           'website',
           'doc_changes',
-          { branch: '12-x-y', sha: 'd07ca4f716c62d6f4a481a74b54b448b95bbe3d9' },
+          getPushDispatchPayload('12-x-y'),
         ],
       );
 
@@ -148,15 +363,201 @@ describe('webhook server', () => {
           'electron',
           'website',
           'doc_changes_branches',
-          { branch: '12-x-y', sha: 'd07ca4f716c62d6f4a481a74b54b448b95bbe3d9' },
+          getPushDispatchPayload('12-x-y'),
         ],
       );
     });
 
+    it('includes the doc changes of all the commits in the "repository_dispatch"', async () => {
+      const payload = await getPayload('push');
+      payload.commits = [
+        {
+          ...payload.commits[0],
+          added: ['docs/api/new-api.md', 'docs/api/tmp.md', 'shell/app.cc'],
+          modified: ['docs/README.md'],
+          removed: ['docs/api/old-api.md'],
+        },
+        {
+          ...payload.commits[0],
+          added: [],
+          modified: ['docs/api/new-api.md', 'docs/README.md'],
+          removed: ['docs/api/tmp.md'],
+        },
+      ];
+
+      const response = await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'push',
+        },
+        body: JSON.stringify(payload),
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(
+        utils.sendRepositoryDispatchEvent.mock.calls[0].arguments[3].files,
+        {
+          added: ['docs/api/new-api.md'],
+          modified: ['docs/README.md'],
+          removed: ['docs/api/old-api.md'],
+          renamed: [],
+        },
+      );
+    });
+
+    it('does not include the changed files if there are too many', async () => {
+      const payload = await getPayload('push');
+      payload.commits[0].added = Array.from(
+        { length: 2000 },
+        (_, i) => `docs/api/structures/generated-structure-${i}.md`,
+      );
+
+      const response = await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'push',
+        },
+        body: JSON.stringify(payload),
+      });
+
+      assert.strictEqual(response.status, 200);
+
+      const dispatchPayload =
+        utils.sendRepositoryDispatchEvent.mock.calls[0].arguments[3];
+
+      assert.strictEqual(dispatchPayload.files, null);
+      assert.strictEqual(dispatchPayload.filesTruncated, true);
+    });
+
+    it('compares the commits when the "push" payload is truncated', async () => {
+      const payload = await getPayload('push');
+      payload.commits = Array.from({ length: 20 }, () => ({
+        ...payload.commits[0],
+        modified: ['shell/app.cc'],
+      }));
+      utils.compareCommits.mock.mockImplementation(() =>
+        Promise.resolve({
+          files: [
+            { filename: 'shell/app.cc', status: 'modified' },
+            { filename: 'docs/api/app.md', status: 'modified' },
+            {
+              filename: 'docs/api/new.md',
+              status: 'renamed',
+              previousFilename: 'docs/api/old.md',
+            },
+          ],
+          complete: true,
+        }),
+      );
+
+      const response = await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'push',
+        },
+        body: JSON.stringify(payload),
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(utils.compareCommits.mock.calls[0].arguments, [
+        'electron',
+        'electron',
+        '5daeed517637d7b9bac60f3bb70e1028e6d6abea',
+        'd07ca4f716c62d6f4a481a74b54b448b95bbe3d9',
+      ]);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 2);
+      assert.deepStrictEqual(
+        utils.sendRepositoryDispatchEvent.mock.calls[0].arguments[3].files,
+        {
+          added: [],
+          modified: ['docs/api/app.md'],
+          removed: [],
+          renamed: [{ from: 'docs/api/old.md', to: 'docs/api/new.md' }],
+        },
+      );
+    });
+
+    it('compares the commits when a "push" has no commits', async () => {
+      const payload = await getPayload('push');
+      payload.commits = [];
+      utils.compareCommits.mock.mockImplementation(() =>
+        Promise.resolve({
+          files: [{ filename: 'docs/README.md', status: 'modified' }],
+          complete: false,
+        }),
+      );
+
+      const response = await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'push',
+        },
+        body: JSON.stringify(payload),
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(utils.compareCommits.mock.callCount(), 1);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 2);
+
+      // GitHub did not return all the files
+      const dispatchPayload =
+        utils.sendRepositoryDispatchEvent.mock.calls[0].arguments[3];
+      assert.strictEqual(dispatchPayload.files, null);
+      assert.strictEqual(dispatchPayload.filesTruncated, true);
+    });
+
+    it('does not compare the commits when a branch is deleted', async () => {
+      const payload = await getPayload('push');
+      payload.commits = [];
+      payload.deleted = true;
+      payload.after = '0000000000000000000000000000000000000000';
+
+      const response = await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'push',
+        },
+        body: JSON.stringify(payload),
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(utils.compareCommits.mock.callCount(), 0);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 0);
+    });
+
+    it('uses the commits of the "push" if the comparison fails', async () => {
+      const payload = await getPayload('push');
+      payload.commits = Array.from({ length: 20 }, () => payload.commits[0]);
+      utils.compareCommits.mock.mockImplementation(() =>
+        Promise.reject(new Error('Server Error')),
+      );
+
+      const response = await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'push',
+        },
+        body: JSON.stringify(payload),
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 2);
+      assert.deepStrictEqual(
+        utils.sendRepositoryDispatchEvent.mock.calls[0].arguments[3],
+        getPushDispatchPayload('12-x-y'),
+      );
+    });
+
     it('does not send a "repository_dispatch" if "push" is for an unreleased version', async () => {
-      // Latest stable is 12 and here the event is for 13
+      // Latest stable is 12 and here the event is for 14, which has no alpha or beta
       const payload = await getPayload('push');
-      payload.ref = 'refs/heads/13-x-y';
+      payload.ref = 'refs/heads/14-x-y';
 
       const response = await fetch(`http://localhost:${server.port}/webhook`, {
         method: 'POST',
@@ -169,13 +570,40 @@ describe('webhook server', () => {
 
       assert.strictEqual(response.status, 200);
       assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 0);
+      assert.strictEqual(getReason(await response.json()), 'unreleased-major');
     });
 
-    it('does not send a "repository_dispatch" if "push" is for a trop branch targetting a release version', async () => {
-      // Latest stable is 12 and here the event is for 13
+    it('sends a "doc_changes_prerelease" "repository_dispatch" if "push" is for a major with an alpha or beta', async () => {
+      // Latest stable is 12 and 13 already has a beta
       const payload = await getPayload('push');
-      payload.ref =
-        'refs/heads/trop/12-x-y-bp-docs-win-getparentwindow-returns-browserwindow-null--1635174659170';
+      payload.ref = 'refs/heads/13-x-y';
+
+      const response = await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'push',
+        },
+        body: JSON.stringify(payload),
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 1);
+      assert.deepStrictEqual(
+        utils.sendRepositoryDispatchEvent.mock.calls[0].arguments,
+        [
+          'electron',
+          'website',
+          'doc_changes_prerelease',
+          getPushDispatchPayload('13-x-y'),
+        ],
+      );
+    });
+
+    it('sends a "doc_changes_nightly" "repository_dispatch" if "push" is for the default branch', async () => {
+      const payload = await getPayload('push');
+      payload.ref = 'refs/heads/main';
+      payload.repository.default_branch = 'main';
 
       const response = await fetch(`http://localhost:${server.port}/webhook`, {
         method: 'POST',
@@ -187,6 +615,718 @@ describe('webhook server', () => {
       });
 
       assert.strictEqual(response.status, 200);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 1);
+      assert.deepStrictEqual(
+        utils.sendRepositoryDispatchEvent.mock.calls[0].arguments,
+        [
+          'electron',
+          'website',
+          'doc_changes_nightly',
+          { ...getPushDispatchPayload('main'), defaultBranch: true },
+        ],
+      );
+      // Sent right away, so it is not deferred
+      assert.deepStrictEqual((await response.json()).dispatches, [
+        {
+          owner: 'electron',
+          repo: 'website',
+          eventType: 'doc_changes_nightly',
+          status: 'pending',
+          id: 'a0c3f2b4-0b5e-4d3f-9d8e-2f6c1e7b9a10',
+        },
+      ]);
+    });
+
+    it('defers the "repository_dispatch" of a "push" to the default branch sent too soon', async () => {
+      const payload = await getPayload('push');
+      payload.ref = 'refs/heads/main';
+      payload.repository.default_branch = 'main';
+
+      const statuses = [];
+
+      for (const after of [
+        'd07ca4f716c62d6f4a481a74b54b448b95bbe3d9',
+        '8f3b2a6b1e0c4d5f9a7e6c3b2a1d0e9f8c7b6a5d',
+      ]) {
+        const response = await fetch(
+          `http://localhost:${server.port}/webhook`,
+          {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'X-GitHub-Event': 'push',
+            },
+            body: JSON.stringify({ ...payload, after }),
+          },
+        );
+
+        assert.strictEqual(response.status, 200);
+        statuses.push((await response.json()).dispatches[0].status);
+      }
+
+      // The second one is held until "NIGHTLY_MIN_INTERVAL" has passed
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 1);
+      assert.deepStrictEqual(statuses, ['pending', 'deferred']);
+    });
+
+    it('does not send a "repository_dispatch" if "push" is for a trop branch targetting a release version', async () => {
+      // Latest stable is 12 and here the event is for 13
+      const payload = await getPayload('push');
+      payload.ref =
+        'refs/heads/trop/12-x-y-bp-docs-win-getparentwindow-returns-browserwindow-null--1635174659170';
+
+      const response = await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'push',
+        },
+        body: JSON.stringify(payload),
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 0);
+      assert.strictEqual(
+        getReason(await response.json()),
+        'branch-not-matched',
+      );
+    });
+  });
+
+  describe('duplicated deliveries', () => {
+    it('does not process the same delivery twice', async () => {
+      const payload = await getPayload('push');
+
+      for (let i = 0; i < 2; i++) {
+        const response = await fetch(
+          `http://localhost:${server.port}/webhook`,
+          {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'X-GitHub-Event': 'push',
+              'X-GitHub-Delivery': '72d3162e-cc78-11e3-81ab-4c9367dc0958',
+            },
+            body: JSON.stringify(payload),
+          },
+        );
+        const body = await response.json();
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(body.decision, i === 0 ? 'dispatched' : 'duplicate');
+      }
+
+      assert.strictEqual(utils.getLatestInformation.mock.callCount(), 1);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 2);
+    });
+
+    it('does not dispatch the same branch, SHA and event type twice', async () => {
+      const payload = await getPayload('push');
+
+      for (const deliveryId of [
+        '72d3162e-cc78-11e3-81ab-4c9367dc0958',
+        'a1b2c3d4-cc78-11e3-81ab-4c9367dc0958',
+      ]) {
+        const response = await fetch(
+          `http://localhost:${server.port}/webhook`,
+          {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'X-GitHub-Event': 'push',
+              'X-GitHub-Delivery': deliveryId,
+            },
+            body: JSON.stringify(payload),
+          },
+        );
+
+        assert.strictEqual(response.status, 200);
+      }
+
+      assert.strictEqual(utils.getLatestInformation.mock.callCount(), 2);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 2);
+    });
+
+    it('dispatches again a branch, SHA and event type that could not be sent', async () => {
+      const payload = await getPayload('push');
+      utils.sendRepositoryDispatchEvent.mock.mockImplementationOnce(() =>
+        Promise.resolve(undefined),
+      );
+
+      for (const deliveryId of [
+        '72d3162e-cc78-11e3-81ab-4c9367dc0958',
+        'a1b2c3d4-cc78-11e3-81ab-4c9367dc0958',
+      ]) {
+        const response = await fetch(
+          `http://localhost:${server.port}/webhook`,
+          {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'X-GitHub-Event': 'push',
+              'X-GitHub-Delivery': deliveryId,
+            },
+            body: JSON.stringify(payload),
+          },
+        );
+
+        assert.strictEqual(response.status, 200);
+      }
+
+      const calls = utils.sendRepositoryDispatchEvent.mock.calls;
+      assert.strictEqual(calls.length, 3);
+      assert.deepStrictEqual(calls[2].arguments, calls[0].arguments);
+    });
+  });
+
+  describe('failed deliveries', () => {
+    it('returns a 503 and processes the redelivery when a delivery fails', async () => {
+      const payload = await getPayload('push');
+      utils.getLatestInformation.mock.mockImplementationOnce(() =>
+        Promise.reject(new Error('Could not identify the right auth strategy')),
+      );
+
+      for (const status of [503, 200]) {
+        const response = await fetch(
+          `http://localhost:${server.port}/webhook`,
+          {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'X-GitHub-Event': 'push',
+              'X-GitHub-Delivery': '72d3162e-cc78-11e3-81ab-4c9367dc0958',
+            },
+            body: JSON.stringify(payload),
+          },
+        );
+
+        assert.strictEqual(response.status, status);
+      }
+
+      assert.strictEqual(utils.getLatestInformation.mock.callCount(), 2);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 2);
+    });
+  });
+
+  describe('release event', () => {
+    it('sends a "release_published" "repository_dispatch" when a release is published', async () => {
+      const payload = await getPayload('release');
+      payload.action = 'published';
+
+      const response = await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'release',
+        },
+        body: JSON.stringify(payload),
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 1);
+      assert.deepStrictEqual(
+        utils.sendRepositoryDispatchEvent.mock.calls[0].arguments,
+        [
+          'electron',
+          'website',
+          'release_published',
+          {
+            version: '12.0.8',
+            tag: 'v12.0.8',
+            prerelease: false,
+            branch: '12-x-y',
+            url: 'https://github.com/electron/electron/releases/tag/v12.0.8',
+          },
+        ],
+      );
+    });
+
+    it('refreshes the latest release information', async () => {
+      const payload = await getPayload('release');
+
+      const response = await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'release',
+        },
+        body: JSON.stringify(payload),
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(utils.getLatestInformation.mock.callCount(), 1);
+      assert.deepStrictEqual(
+        utils.getLatestInformation.mock.calls[0].arguments,
+        [{ refresh: true }],
+      );
+    });
+
+    it('sends a "release_edited" "repository_dispatch" for prereleases', async () => {
+      const payload = await getPayload('release');
+      payload.action = 'edited';
+      payload.release.tag_name = 'v13.0.0-beta.2';
+      payload.release.prerelease = true;
+      payload.release.html_url =
+        'https://github.com/electron/electron/releases/tag/v13.0.0-beta.2';
+
+      const response = await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'release',
+        },
+        body: JSON.stringify(payload),
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 1);
+      assert.deepStrictEqual(
+        utils.sendRepositoryDispatchEvent.mock.calls[0].arguments,
+        [
+          'electron',
+          'website',
+          'release_edited',
+          {
+            version: '13.0.0-beta.2',
+            tag: 'v13.0.0-beta.2',
+            prerelease: true,
+            branch: '13-x-y',
+            url: 'https://github.com/electron/electron/releases/tag/v13.0.0-beta.2',
+          },
+        ],
+      );
+    });
+
+    it('sends a "release_deleted" "repository_dispatch" when a release is deleted', async () => {
+      const payload = await getPayload('release');
+      payload.action = 'deleted';
+
+      const response = await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'release',
+        },
+        body: JSON.stringify(payload),
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 1);
+      assert.strictEqual(
+        utils.sendRepositoryDispatchEvent.mock.calls[0].arguments[2],
+        'release_deleted',
+      );
+    });
+
+    it('does not send a "repository_dispatch" for other release actions', async () => {
+      // The fixture is a "released" action, which is sent together with "published"
+      const payload = await getPayload('release');
+
+      const response = await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'release',
+        },
+        body: JSON.stringify(payload),
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 0);
+      assert.strictEqual(
+        getReason(await response.json()),
+        'action-not-handled',
+      );
+    });
+
+    it('does not send a "repository_dispatch" for releases of other repositories', async () => {
+      const payload = await getPayload('release');
+      payload.action = 'published';
+      payload.repository.full_name = 'electron/fiddle';
+
+      const response = await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'release',
+        },
+        body: JSON.stringify(payload),
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 0);
+
+      const body = await response.json();
+
+      assert.strictEqual(body.decision, 'ignored');
+      assert.strictEqual(getReason(body), 'wrong-source');
+    });
+  });
+
+  describe('admin API', () => {
+    it('returns a 401 without the admin token', async () => {
+      const response = await fetch(
+        `http://localhost:${server.port}/admin/dead-letters`,
+        {
+          headers: {
+            Authorization: 'Bearer not-the-token',
+          },
+        },
+      );
+
+      assert.strictEqual(response.status, 401);
+    });
+
+    it('lists the dead letters', async () => {
+      const response = await fetch(
+        `http://localhost:${server.port}/admin/dead-letters`,
+        {
+          headers: {
+            Authorization: 'Bearer admin-token',
+          },
+        },
+      );
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(await response.json(), [deadLetter]);
+    });
+
+    it('requeues a dead letter', async () => {
+      const response = await fetch(
+        `http://localhost:${server.port}/admin/dead-letters/${deadLetter.id}/requeue`,
+        {
+          method: 'POST',
+          headers: {
+            Authorization: 'Bearer admin-token',
+          },
+        },
+      );
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual((await response.json()).status, 'delivered');
+    });
+
+    it('lists the dispatches recorded in dry-run mode', async () => {
+      const response = await fetch(
+        `http://localhost:${server.port}/admin/dry-run-dispatches`,
+        {
+          headers: {
+            Authorization: 'Bearer admin-token',
+          },
+        },
+      );
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(await response.json(), [dryRunDispatch]);
+    });
+
+    it('returns a 404 when requeuing an unknown dead letter', async () => {
+      const response = await fetch(
+        `http://localhost:${server.port}/admin/dead-letters/unknown/requeue`,
+        {
+          method: 'POST',
+          headers: {
+            Authorization: 'Bearer admin-token',
+          },
+        },
+      );
+
+      assert.strictEqual(response.status, 404);
+    });
+
+    it('returns a 409 when requeuing a dead letter in dry-run mode', async () => {
+      utils.isDryRun.mock.mockImplementationOnce(() => true);
+      const requeues = dispatchQueue.requeue.mock.callCount();
+
+      const response = await fetch(
+        `http://localhost:${server.port}/admin/dead-letters/${deadLetter.id}/requeue`,
+        {
+          method: 'POST',
+          headers: {
+            Authorization: 'Bearer admin-token',
+          },
+        },
+      );
+
+      assert.strictEqual(response.status, 409);
+      assert.strictEqual(dispatchQueue.requeue.mock.callCount(), requeues);
+    });
+
+    it('lists the deliveries of a branch', async () => {
+      const since = new Date().toISOString();
+      const payload = await getPayload('push');
+      payload.ref = 'refs/heads/12-x-y';
+
+      await fetch(`http://localhost:${server.port}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'push',
+          'X-GitHub-Delivery': '0b9f4b9e-2c61-4d0e-b1f3-5a0d2b4c8e21',
+        },
+        body: JSON.stringify(payload),
+      });
+
+      const response = await fetch(
+        `http://localhost:${server.port}/deliveries?branch=12-x-y&since=${since}`,
+        {
+          headers: {
+            Authorization: 'Bearer admin-token',
+          },
+        },
+      );
+      const [delivery] = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(delivery.id, '0b9f4b9e-2c61-4d0e-b1f3-5a0d2b4c8e21');
+      assert.strictEqual(delivery.event, 'push');
+      assert.strictEqual(delivery.branch, '12-x-y');
+      assert.strictEqual(delivery.sha, payload.after);
+      assert.strictEqual(delivery.decision, 'dispatched');
+      assert.strictEqual(delivery.status, 'delivered');
+      assert.deepStrictEqual(
+        delivery.dispatches.map(({ eventType }) => eventType),
+        ['doc_changes_branches', 'doc_changes'],
+      );
+    });
+
+    it('returns a 400 when listing deliveries with an invalid date', async () => {
+      const response = await fetch(
+        `http://localhost:${server.port}/deliveries?since=yesterday`,
+        {
+          headers: {
+            Authorization: 'Bearer admin-token',
+          },
+        },
+      );
+
+      assert.strictEqual(response.status, 400);
+    });
+
+    /**
+     * Sends `body` to `POST /admin/dispatch`
+     * @param {object} body
+     */
+    const dispatch = (body) => {
+      return fetch(`http://localhost:${server.port}/admin/dispatch`, {
+        method: 'POST',
+        headers: {
+          Authorization: 'Bearer admin-token',
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+    };
+
+    it('returns a 401 when dispatching without the admin token', async () => {
+      const response = await fetch(
+        `http://localhost:${server.port}/admin/dispatch`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ branch: '12-x-y', eventType: 'doc_changes' }),
+        },
+      );
+
+      assert.strictEqual(response.status, 401);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 0);
+    });
+
+    it('dispatches the head of the branch when no SHA is given', async () => {
+      const response = await dispatch({
+        branch: '12-x-y',
+        eventType: 'doc_changes',
+      });
+      const sha = '8b1b5a8c4b8e6e6c2ed2b7d0d8f4c1a6b6e0f3c2';
+      const payload = {
+        sha,
+        branch: '12-x-y',
+        defaultBranch: false,
+        before: null,
+        after: sha,
+        files: null,
+        filesTruncated: true,
+      };
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(await response.json(), {
+        dispatches: [
+          {
+            owner: 'electron',
+            repo: 'website',
+            eventType: 'doc_changes',
+            payload,
+            id: 'a0c3f2b4-0b5e-4d3f-9d8e-2f6c1e7b9a10',
+            status: 'pending',
+          },
+        ],
+      });
+      assert.deepStrictEqual(utils.getBranchHead.mock.calls[0].arguments, [
+        'electron',
+        'electron',
+        '12-x-y',
+      ]);
+      assert.deepStrictEqual(
+        utils.sendRepositoryDispatchEvent.mock.calls[0].arguments,
+        ['electron', 'website', 'doc_changes', payload],
+      );
+    });
+
+    it('dispatches the given SHA', async () => {
+      const sha = 'd07ca4f716c62d6f4a481a74b54b448b95bbe3d9';
+      const response = await dispatch({
+        branch: '11-x-y',
+        sha,
+        eventType: 'doc_changes_branches',
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(utils.getBranchHead.mock.callCount(), 0);
+      assert.deepStrictEqual(
+        utils.sendRepositoryDispatchEvent.mock.calls[0].arguments,
+        [
+          'electron',
+          'website',
+          'doc_changes_branches',
+          {
+            sha,
+            branch: '11-x-y',
+            defaultBranch: false,
+            before: null,
+            after: sha,
+            files: null,
+            filesTruncated: true,
+          },
+        ],
+      );
+    });
+
+    it('returns a 502 when the event could not be queued', async () => {
+      utils.sendRepositoryDispatchEvent.mock.mockImplementationOnce(() =>
+        Promise.resolve(undefined),
+      );
+
+      const response = await dispatch({
+        branch: '12-x-y',
+        eventType: 'doc_changes',
+      });
+      const { dispatches } = await response.json();
+
+      assert.strictEqual(response.status, 502);
+      assert.deepStrictEqual(
+        dispatches.map(({ status, id }) => [status, id]),
+        [['failed', undefined]],
+      );
+    });
+
+    it('returns a 422 when the event is not sent for the branch', async () => {
+      const response = await dispatch({
+        branch: '11-x-y',
+        eventType: 'doc_changes',
+      });
+
+      assert.strictEqual(response.status, 422);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 0);
+    });
+
+    it('returns a 400 when the branch or event type is missing', async () => {
+      const response = await dispatch({ eventType: 'doc_changes' });
+
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 0);
+    });
+
+    /**
+     * Sends `body` to `POST /admin/backfill`
+     * @param {object} body
+     */
+    const backfill = (body) => {
+      return fetch(`http://localhost:${server.port}/admin/backfill`, {
+        method: 'POST',
+        headers: {
+          Authorization: 'Bearer admin-token',
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+    };
+
+    it('backfills the supported branches', async () => {
+      const response = await backfill({ all: true, interval: 0 });
+      const { dispatches } = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(
+        dispatches.map(({ branch, eventType, status }) => [
+          branch,
+          eventType,
+          status,
+        ]),
+        [
+          ['12-x-y', 'doc_changes_branches', 'pending'],
+          ['12-x-y', 'doc_changes', 'pending'],
+          ['11-x-y', 'doc_changes_branches', 'pending'],
+          ['10-x-y', 'doc_changes_branches', 'pending'],
+        ],
+      );
+      assert.strictEqual(utils.getBranchHead.mock.callCount(), 3);
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 4);
+    });
+
+    it('backfills a commit of a branch with the given "before"', async () => {
+      const before = 'd07ca4f716c62d6f4a481a74b54b448b95bbe3d9';
+      const sha = '8b1b5a8c4b8e6e6c2ed2b7d0d8f4c1a6b6e0f3c2';
+      const response = await backfill({ branches: ['11-x-y'], before, sha });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(utils.getBranchHead.mock.callCount(), 0);
+      assert.deepStrictEqual(
+        utils.sendRepositoryDispatchEvent.mock.calls[0].arguments,
+        [
+          'electron',
+          'website',
+          'doc_changes_branches',
+          {
+            sha,
+            branch: '11-x-y',
+            defaultBranch: false,
+            before,
+            after: sha,
+            files: null,
+            filesTruncated: true,
+          },
+        ],
+      );
+    });
+
+    it('previews a backfill without sending anything', async () => {
+      const response = await backfill({ branches: ['12-x-y'], dryRun: true });
+      const { decisions, dispatches } = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(
+        decisions.map(({ rule, reason }) => [rule, reason]),
+        [
+          ['electron docs', 'dispatched'],
+          ['electron nightly docs', 'branch-not-matched'],
+        ],
+      );
+      assert.deepStrictEqual(
+        dispatches.map(({ eventType, status }) => [eventType, status]),
+        [
+          ['doc_changes_branches', 'dry-run'],
+          ['doc_changes', 'dry-run'],
+        ],
+      );
+      assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 0);
+    });
+
+    it('returns a 400 when backfilling other branches', async () => {
+      const response = await backfill({ branches: ['main'] });
+
+      assert.strictEqual(response.status, 400);
       assert.strictEqual(utils.sendRepositoryDispatchEvent.mock.callCount(), 0);
     });
   });
@@ -0,0 +1,79 @@
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, mock, it } = require('node:test');
+
+const { createInstallations } = require('../utils/installations');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('installations', () => {
+  let listInstallations;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: 0 });
+    listInstallations = mock.fn(() =>
+      Promise.resolve([
+        { id: 1, account: { login: 'electron' } },
+        { id: 2, account: { login: 'Electron-Translations' } },
+      ]),
+    );
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('returns the installation of each owner', async () => {
+    const { getInstallationId } = createInstallations({
+      listInstallations,
+      ttl: HOUR,
+    });
+
+    assert.strictEqual(await getInstallationId('electron'), 1);
+    assert.strictEqual(await getInstallationId('electron-translations'), 2);
+    assert.strictEqual(listInstallations.mock.callCount(), 1);
+  });
+
+  it('looks up the installations again once they expire', async () => {
+    const { getInstallationId } = createInstallations({
+      listInstallations,
+      ttl: HOUR,
+    });
+
+    await getInstallationId('electron');
+    mock.timers.tick(HOUR);
+    await getInstallationId('electron');
+
+    assert.strictEqual(listInstallations.mock.callCount(), 2);
+  });
+
+  it('throws when the app is not installed for the owner', async () => {
+    const { getInstallationId } = createInstallations({
+      listInstallations,
+      ttl: HOUR,
+    });
+
+    await assert.rejects(getInstallationId('electron-fork'), {
+      message: /not installed on "electron-fork"/,
+      status: 404,
+    });
+  });
+
+  it('looks for new installations at most once a minute', async () => {
+    const { getInstallationId } = createInstallations({
+      listInstallations,
+      ttl: HOUR,
+    });
+
+    await getInstallationId('electron');
+    await assert.rejects(getInstallationId('electron-fork'));
+    assert.strictEqual(listInstallations.mock.callCount(), 1);
+
+    listInstallations.mock.mockImplementation(() =>
+      Promise.resolve([{ id: 3, account: { login: 'electron-fork' } }]),
+    );
+    mock.timers.tick(60 * 1000);
+
+    assert.strictEqual(await getInstallationId('electron-fork'), 3);
+    assert.strictEqual(listInstallations.mock.callCount(), 2);
+  });
+});
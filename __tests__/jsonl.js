@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const {
+  appendJsonLine,
+  readJsonLines,
+  writeJsonLines,
+} = require('../utils/jsonl');
+
+describe('jsonl', () => {
+  let directory;
+  let file;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(join(tmpdir(), 'jsonl-'));
+    file = join(directory, 'data', 'entries.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('returns null if the file does not exist', () => {
+    assert.strictEqual(readJsonLines(file), null);
+    assert.strictEqual(fs.existsSync(file), false);
+  });
+
+  it('reads the values that were appended', () => {
+    appendJsonLine(file, { id: 1 });
+    appendJsonLine(file, { id: 2 });
+
+    assert.deepStrictEqual(readJsonLines(file), [{ id: 1 }, { id: 2 }]);
+  });
+
+  it('ignores a partial line', () => {
+    appendJsonLine(file, { id: 1 });
+    fs.appendFileSync(file, '{"id":');
+
+    assert.deepStrictEqual(readJsonLines(file), [{ id: 1 }]);
+  });
+
+  it('replaces the content of the file', () => {
+    appendJsonLine(file, { id: 1 });
+    writeJsonLines(file, [{ id: 2 }, { id: 3 }]);
+
+    assert.deepStrictEqual(readJsonLines(file), [{ id: 2 }, { id: 3 }]);
+    assert.deepStrictEqual(fs.readdirSync(join(directory, 'data')), [
+      'entries.jsonl',
+    ]);
+  });
+});
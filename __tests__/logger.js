@@ -0,0 +1,88 @@
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { describe, it } = require('node:test');
+
+const {
+  addLogContext,
+  createLogger,
+  withLogContext,
+} = require('../utils/logger');
+
+/**
+ * Returns a logger that keeps the parsed lines in `lines`
+ * @param {string} level
+ */
+const createTestLogger = (level) => {
+  const lines = [];
+  const logger = createLogger({
+    level,
+    write: (line) => lines.push(JSON.parse(line)),
+  });
+
+  return { logger, lines };
+};
+
+describe('logger', () => {
+  it('writes JSON lines with the level and the fields', () => {
+    const { logger, lines } = createTestLogger('info');
+
+    logger.info('Sent repository_dispatch', { eventType: 'doc_changes' });
+
+    assert.strictEqual(lines.length, 1);
+    assert.strictEqual(lines[0].level, 'info');
+    assert.strictEqual(lines[0].message, 'Sent repository_dispatch');
+    assert.strictEqual(lines[0].eventType, 'doc_changes');
+    assert.ok(!isNaN(Date.parse(lines[0].time)));
+  });
+
+  it('drops the lines below the level', () => {
+    const { logger, lines } = createTestLogger('warn');
+
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('warn');
+    logger.error('error');
+
+    assert.deepStrictEqual(
+      lines.map(({ level }) => level),
+      ['warn', 'error'],
+    );
+  });
+
+  it('throws for unknown levels', () => {
+    assert.throws(
+      () => createLogger({ level: 'verbose' }),
+      /Invalid log level/,
+    );
+  });
+
+  it('only keeps the message, stack and status of errors', () => {
+    const { logger, lines } = createTestLogger('info');
+    const error = Object.assign(new Error('Not Found'), {
+      status: 404,
+      request: { headers: { authorization: 'token secret' } },
+    });
+
+    logger.error('Could not compare', { error });
+
+    assert.strictEqual(lines[0].error.message, 'Not Found');
+    assert.strictEqual(lines[0].error.status, 404);
+    assert.strictEqual(lines[0].error.request, undefined);
+  });
+
+  it('tags the lines with the context across async calls', async () => {
+    const { logger, lines } = createTestLogger('info');
+
+    await withLogContext({ deliveryId: '1', event: 'push' }, async () => {
+      await sleep(1);
+      addLogContext({ ref: 'refs/heads/12-x-y' });
+      logger.info('inside');
+    });
+    logger.info('outside');
+
+    assert.strictEqual(lines[0].deliveryId, '1');
+    assert.strictEqual(lines[0].event, 'push');
+    assert.strictEqual(lines[0].ref, 'refs/heads/12-x-y');
+    assert.strictEqual(lines[1].deliveryId, undefined);
+  });
+});
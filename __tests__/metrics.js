@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { register, timeGitHubRequest } = require('../utils/metrics');
+
+/**
+ * Returns the number of observations of the GitHub API `operation`
+ * @param {string} operation
+ * @param {'success' | 'failure'} result
+ */
+const getCount = async (operation, result) => {
+  const { values } = await register
+    .getSingleMetric('website_updater_github_request_duration_seconds')
+    .get();
+  const count = values.find(
+    ({ metricName, labels }) =>
+      metricName.endsWith('_count') &&
+      labels.operation === operation &&
+      labels.result === result,
+  );
+
+  return count ? count.value : 0;
+};
+
+describe('metrics', () => {
+  it('records the duration of successful GitHub API calls', async () => {
+    const result = await timeGitHubRequest('getReleases', () =>
+      Promise.resolve('12.0.6'),
+    );
+
+    assert.strictEqual(result, '12.0.6');
+    assert.strictEqual(await getCount('getReleases', 'success'), 1);
+  });
+
+  it('records the duration of failed GitHub API calls', async () => {
+    await assert.rejects(
+      timeGitHubRequest('createDispatchEvent', () =>
+        Promise.reject(new Error('Server Error')),
+      ),
+      /Server Error/,
+    );
+
+    assert.strictEqual(await getCount('createDispatchEvent', 'failure'), 1);
+  });
+
+  it('exposes the metrics in the Prometheus text format', async () => {
+    const metrics = await register.metrics();
+
+    assert.match(
+      metrics,
+      /^# TYPE website_updater_github_request_duration_seconds histogram$/m,
+    );
+  });
+});
@@ -0,0 +1,42 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createPathMatcher } = require('../utils/paths');
+
+describe('createPathMatcher', () => {
+  const matchesPath = createPathMatcher({
+    include: ['docs/**/*.md'],
+    exclude: ['docs/development/**'],
+  });
+
+  it('matches files under the included globs', () => {
+    assert.strictEqual(matchesPath('docs/README.md'), true);
+    assert.strictEqual(matchesPath('docs/api/browser-window.md'), true);
+    assert.strictEqual(matchesPath('docs/api/structures/.hidden.md'), true);
+  });
+
+  it('anchors the globs at the root of the repository', () => {
+    assert.strictEqual(matchesPath('spec/fixtures/docs/foo.md'), false);
+    assert.strictEqual(matchesPath('shell/docs_helper.cc'), false);
+    assert.strictEqual(matchesPath('README-docs.md'), false);
+    assert.strictEqual(matchesPath('docs-old/README.md'), false);
+  });
+
+  it('does not match files in the excluded globs', () => {
+    assert.strictEqual(
+      matchesPath('docs/development/build-instructions.md'),
+      false,
+    );
+  });
+
+  it('does not match files that do not match the globs', () => {
+    assert.strictEqual(matchesPath('docs/fiddles/menus/main.js'), false);
+  });
+
+  it('matches any file under a folder with "**"', () => {
+    const matchesDocs = createPathMatcher({ include: ['docs/**'] });
+
+    assert.strictEqual(matchesDocs('docs/fiddles/menus/main.js'), true);
+    assert.strictEqual(matchesDocs('spec/fixtures/docs/foo.js'), false);
+  });
+});
@@ -0,0 +1,79 @@
+const assert = require('node:assert/strict');
+const { generateKeyPairSync } = require('node:crypto');
+const fs = require('node:fs');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
+const { after, describe, it } = require('node:test');
+
+const { loadPrivateKey } = require('../utils/private-key');
+
+const { privateKey: pem } = generateKeyPairSync('rsa', {
+  modulusLength: 1024,
+  privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+});
+
+describe('loadPrivateKey', () => {
+  const directory = fs.mkdtempSync(join(tmpdir(), 'private-key-'));
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('loads a PEM', () => {
+    assert.strictEqual(loadPrivateKey(pem), pem);
+  });
+
+  it('loads a PEM with literal "\\n"', () => {
+    assert.strictEqual(loadPrivateKey(pem.replace(/\n/g, '\\n')), pem);
+  });
+
+  it('loads the JSON string of a PEM', () => {
+    assert.strictEqual(loadPrivateKey(JSON.stringify(pem)), pem);
+  });
+
+  it('loads a base64 encoded PEM', () => {
+    assert.strictEqual(
+      loadPrivateKey(Buffer.from(pem).toString('base64')),
+      pem,
+    );
+  });
+
+  it('loads a PEM file', () => {
+    const file = join(directory, 'key.pem');
+    fs.writeFileSync(file, pem);
+
+    assert.strictEqual(loadPrivateKey(file), pem);
+  });
+
+  it('throws without including the key', () => {
+    const invalid = pem.replace(/\n[A-Za-z0-9+/]{10}/, '\nnot-base64');
+    const secret = invalid.split('\n')[2];
+
+    for (const value of [
+      invalid,
+      JSON.stringify(invalid).slice(0, -1),
+      Buffer.from(secret).toString('base64'),
+      secret,
+    ]) {
+      assert.throws(
+        () => loadPrivateKey(value),
+        (e) => {
+          assert.match(e.message, /^"CLIENT_PRIVATE_KEY" /);
+          assert.ok(!e.message.includes(secret.slice(0, 20)));
+
+          return true;
+        },
+      );
+    }
+  });
+
+  it('throws if the file is not a PEM', () => {
+    const file = join(directory, 'key.txt');
+    fs.writeFileSync(file, 'not a key');
+
+    assert.throws(() => loadPrivateKey(file), {
+      message: `"CLIENT_PRIVATE_KEY" could not be read: "${file}" is not a PEM file`,
+    });
+  });
+});
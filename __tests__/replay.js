@@ -0,0 +1,108 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const { join } = require('node:path');
+const { describe, it } = require('node:test');
+
+const { main, replay } = require('../bin/replay');
+const { toLatestInformation } = require('../utils/decisions');
+const { loadRules } = require('../utils/rules');
+
+const pushPayload = require('./fixtures/push.json');
+const releasePayload = require('./fixtures/release.json');
+
+const RULES_FILE = join(__dirname, 'fixtures', 'rules.json');
+const PUSH_FILE = join(__dirname, 'fixtures', 'push.json');
+
+describe('replay', () => {
+  const rules = loadRules(RULES_FILE);
+
+  it('returns the dispatches of a push with the reason of each rule', () => {
+    const { decisions, dispatches, truncated } = replay({
+      event: 'push',
+      payload: pushPayload,
+      rules,
+      latestInformation: toLatestInformation({
+        stables: ['12.0.6'],
+        prereleases: [],
+      }),
+    });
+
+    assert.strictEqual(truncated, false);
+    assert.deepStrictEqual(
+      decisions.map(({ rule, reason }) => [rule, reason]),
+      [
+        ['electron docs', 'dispatched'],
+        ['electron nightly docs', 'branch-not-matched'],
+      ],
+    );
+    assert.deepStrictEqual(
+      dispatches.map(({ eventType }) => eventType),
+      ['doc_changes_branches', 'doc_changes'],
+    );
+  });
+
+  it('skips the pushes to unreleased majors', () => {
+    const { decisions, dispatches } = replay({
+      event: 'push',
+      payload: pushPayload,
+      rules,
+      latestInformation: toLatestInformation({
+        stables: ['11.4.2'],
+        prereleases: [],
+      }),
+    });
+
+    assert.strictEqual(decisions[0].reason, 'unreleased-major');
+    assert.deepStrictEqual(dispatches, []);
+  });
+
+  it('returns the dispatches of a release', () => {
+    const { dispatches } = replay({
+      event: 'release',
+      payload: { ...releasePayload, action: 'published' },
+      rules,
+      latestInformation: toLatestInformation({
+        stables: ['12.0.8'],
+        prereleases: [],
+      }),
+    });
+
+    assert.deepStrictEqual(
+      dispatches.map(({ eventType }) => eventType),
+      ['release_published'],
+    );
+  });
+
+  it('throws the usage with invalid arguments', () => {
+    assert.throws(() => main(['--event', 'push', PUSH_FILE]), /^Error: Usage/);
+    assert.throws(
+      () => main(['--event', 'push', '--latest', 'twelve', PUSH_FILE]),
+      /^Error: Usage/,
+    );
+  });
+
+  it('runs without credentials', () => {
+    const { status, stdout } = spawnSync(
+      process.execPath,
+      [
+        join(__dirname, '..', 'bin', 'replay.js'),
+        '--event',
+        'push',
+        '--latest',
+        '12.0.6',
+        '--rules',
+        RULES_FILE,
+        '--json',
+        PUSH_FILE,
+      ],
+      { encoding: 'utf-8', env: { PATH: process.env.PATH }, timeout: 10000 },
+    );
+
+    assert.strictEqual(status, 0);
+
+    const result = JSON.parse(stdout);
+
+    assert.strictEqual(result.latestInformation.branch, '12-x-y');
+    assert.strictEqual(result.dispatches.length, 2);
+  });
+});
@@ -0,0 +1,114 @@
+const assert = require('node:assert/strict');
+const { join } = require('node:path');
+const { describe, it } = require('node:test');
+
+const { loadRules, parseRules } = require('../utils/rules');
+
+const rule = {
+  name: 'electron docs',
+  source: 'electron',
+  branches: '^\\d\\d?-x-y',
+  paths: ['docs/**'],
+  exclude: ['docs/development/**'],
+  targets: ['website', 'electron/website-staging'],
+  events: {
+    branch: 'doc_changes_branches',
+    latest: 'doc_changes',
+    release: { published: 'release_published' },
+  },
+};
+
+describe('rules', () => {
+  it('loads the default rules file', () => {
+    const [defaultRule] = loadRules(
+      join(__dirname, '..', 'config', 'rules.json'),
+    );
+
+    assert.deepStrictEqual(defaultRule.source, {
+      owner: 'electron',
+      repo: 'electron',
+    });
+    assert.deepStrictEqual(defaultRule.targets, [
+      { owner: 'electron', repo: 'website' },
+    ]);
+    assert.strictEqual(defaultRule.branches.test('12-x-y'), true);
+    assert.strictEqual(defaultRule.branches.test('main'), false);
+  });
+
+  it('transforms the repositories and the branch patterns', () => {
+    const [parsed] = parseRules({ rules: [rule] });
+
+    assert.deepStrictEqual(parsed.targets, [
+      { owner: 'electron', repo: 'website' },
+      { owner: 'electron', repo: 'website-staging' },
+    ]);
+    assert.ok(parsed.branches instanceof RegExp);
+    assert.strictEqual(parsed.matchesPath('docs/api/app.md'), true);
+    assert.strictEqual(parsed.matchesPath('docs/development/README.md'), false);
+    assert.deepStrictEqual(parsed.events, rule.events);
+  });
+
+  it('ignores the whitespace around the repositories', () => {
+    const [parsed] = parseRules({
+      rules: [
+        { ...rule, source: ' electron ', targets: [' electron/website '] },
+      ],
+    });
+
+    assert.deepStrictEqual(parsed.source, {
+      owner: 'electron',
+      repo: 'electron',
+    });
+    assert.deepStrictEqual(parsed.targets, [
+      { owner: 'electron', repo: 'website' },
+    ]);
+  });
+
+  it('throws if there are no rules', () => {
+    assert.throws(() => parseRules({}), /"rules" must be a non empty list/);
+    assert.throws(
+      () => parseRules({ rules: [] }),
+      /"rules" must be a non empty list/,
+    );
+  });
+
+  it('throws with all the problems found', () => {
+    const invalid = {
+      ...rule,
+      source: 'not a repo',
+      branches: '(',
+      paths: [],
+      exclude: 'docs/development/**',
+      targets: [],
+      events: { current: 'doc_changes', release: { released: 'release' } },
+    };
+
+    assert.throws(
+      () => parseRules({ rules: [rule, invalid] }),
+      (error) => {
+        assert.strictEqual(
+          error.message,
+          [
+            'Invalid rules:',
+            'rules[1].source: must be a repository ("owner/repo" or "repo")',
+            'rules[1].branches: must be a regular expression',
+            'rules[1].paths: must be a non empty list of globs',
+            'rules[1].exclude: must be a list of globs',
+            'rules[1].targets: must be a non empty list of repositories ("owner/repo" or "repo")',
+            'rules[1].events.current: unknown event, expected one of branch, latest, prerelease, nightly, release',
+            'rules[1].events.release.released: unknown action, expected one of published, edited, deleted',
+          ].join('\n'),
+        );
+
+        return true;
+      },
+    );
+  });
+
+  it('throws if the rules file can not be read', () => {
+    assert.throws(
+      () => loadRules(join(__dirname, 'fixtures', 'missing.json')),
+      /Could not read the rules file/,
+    );
+  });
+});
@@ -0,0 +1,73 @@
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, mock, it } = require('node:test');
+
+const { createThrottle } = require('../utils/throttle');
+
+describe('throttle', () => {
+  let send;
+  let throttle;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 10000 });
+    send = mock.fn(() => Promise.resolve());
+    throttle = createThrottle({
+      interval: 1000,
+      merge: (older, newer) => ({
+        sha: newer.sha,
+        shas: [...older.shas, ...newer.shas],
+      }),
+      send,
+    });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('sends the first value right away', async () => {
+    await throttle.add('main', { sha: 'a', shas: ['a'] });
+
+    assert.strictEqual(send.mock.callCount(), 1);
+  });
+
+  it('holds the values added during the interval and sends them merged', async () => {
+    await throttle.add('main', { sha: 'a', shas: ['a'] });
+    mock.timers.tick(200);
+    await throttle.add('main', { sha: 'b', shas: ['b'] });
+    await throttle.add('main', { sha: 'c', shas: ['c'] });
+
+    assert.strictEqual(send.mock.callCount(), 1);
+
+    mock.timers.tick(800);
+
+    assert.strictEqual(send.mock.callCount(), 2);
+    assert.deepStrictEqual(send.mock.calls[1].arguments[0], {
+      sha: 'c',
+      shas: ['b', 'c'],
+    });
+  });
+
+  it('keeps the intervals of different keys apart', async () => {
+    await throttle.add('main', { sha: 'a', shas: ['a'] });
+    await throttle.add('other', { sha: 'b', shas: ['b'] });
+
+    assert.strictEqual(send.mock.callCount(), 2);
+  });
+
+  it('sends the held values right away when flushed', async () => {
+    await throttle.add('main', { sha: 'a', shas: ['a'] });
+    await throttle.add('main', { sha: 'b', shas: ['b'] });
+
+    await throttle.flush();
+
+    assert.strictEqual(send.mock.callCount(), 2);
+    assert.deepStrictEqual(send.mock.calls[1].arguments[0], {
+      sha: 'b',
+      shas: ['b'],
+    });
+
+    // Nothing is left to send once the interval has passed
+    mock.timers.tick(1000);
+    assert.strictEqual(send.mock.callCount(), 2);
+  });
+});
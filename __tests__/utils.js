@@ -0,0 +1,100 @@
+const assert = require('node:assert/strict');
+const { describe, mock, it } = require('node:test');
+
+const { getReleases } = require('../utils/utils');
+
+/**
+ * Creates a release node like the ones returned by the GraphQL API
+ * @param {string} version
+ */
+const release = (version) => ({
+  name: `electron v${version}`,
+  url: `https://github.com/electron/electron/releases/tag/v${version}`,
+  isPrerelease: version.includes('-'),
+});
+
+/**
+ * Returns a fake GraphQL client that returns the given pages of releases
+ * @param {ReturnType<typeof release>[][]} pages
+ */
+const createGraphql = (pages) => {
+  return mock.fn(async (_query, { cursor }) => {
+    const index = cursor ? parseInt(cursor) : 0;
+
+    return {
+      repository: {
+        releases: {
+          pageInfo: {
+            hasNextPage: index < pages.length - 1,
+            endCursor: `${index + 1}`,
+          },
+          nodes: pages[index],
+        },
+      },
+    };
+  });
+};
+
+describe('getReleases', () => {
+  it('keeps paginating until it finds enough stable releases', async () => {
+    const nightlies = Array.from({ length: 100 }, (_, i) =>
+      release(`14.0.0-nightly.202106${i}`),
+    );
+    const stables = Array.from({ length: 10 }, (_, i) =>
+      release(`12.0.${10 - i}`),
+    );
+    const graphql = createGraphql([
+      nightlies,
+      [release('13.0.0-beta.2'), ...stables.slice(0, 5)],
+      stables.slice(5),
+      [release('11.0.0')],
+    ]);
+
+    const releases = await getReleases(graphql);
+
+    assert.strictEqual(graphql.mock.callCount(), 3);
+    assert.strictEqual(releases.stables.length, 10);
+    assert.strictEqual(releases.stables.pop(), '12.0.10');
+    assert.strictEqual(releases.prereleases.pop(), '14.0.0-nightly.20210699');
+  });
+
+  it('stops when there are no more pages', async () => {
+    const graphql = createGraphql([[release('12.0.1'), release('12.0.0')]]);
+
+    const releases = await getReleases(graphql);
+
+    assert.strictEqual(graphql.mock.callCount(), 1);
+    assert.deepStrictEqual(releases.stables, ['12.0.0', '12.0.1']);
+  });
+
+  it('returns the stable and prerelease versions sorted', async () => {
+    const graphql = createGraphql([
+      [
+        release('11.4.8'),
+        release('13.0.0-beta.2'),
+        release('12.0.0'),
+        release('13.0.0-beta.10'),
+        release('11.4.7'),
+      ],
+    ]);
+
+    const releases = await getReleases(graphql);
+
+    assert.deepStrictEqual(releases, {
+      stables: ['11.4.7', '11.4.8', '12.0.0'],
+      prereleases: ['13.0.0-beta.2', '13.0.0-beta.10'],
+    });
+  });
+
+  it('throws if there is no stable release in the pages it looked at', async () => {
+    const pages = Array.from({ length: 12 }, (_, page) => [
+      release(`14.0.0-nightly.2021060${page}`),
+    ]);
+    const graphql = createGraphql(pages);
+
+    await assert.rejects(getReleases(graphql), {
+      message: 'No stable release found in the last 10 page(s) of releases',
+    });
+    assert.strictEqual(graphql.mock.callCount(), 10);
+  });
+});
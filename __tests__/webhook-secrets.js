@@ -0,0 +1,181 @@
+const assert = require('node:assert/strict');
+const { createHmac } = require('node:crypto');
+const { describe, mock, it } = require('node:test');
+
+process.env.WEBHOOK_SECRET = 'current';
+process.env.WEBHOOK_SECRETS = JSON.stringify([
+  { name: 'previous', secret: 'previous', expiresAt: '2999-01-01T00:00:00Z' },
+  { name: 'revoked', secret: 'revoked', expiresAt: '2021-01-01T00:00:00Z' },
+]);
+process.env.WEBHOOK_ACCEPT_SHA1 = 'true';
+
+const { register } = require('../utils/metrics');
+const { verifyIntegrity } = require('../utils/utils');
+const {
+  getActiveSecrets,
+  parseWebhookSecrets,
+} = require('../utils/webhook-secrets');
+
+// Pretty-printed with escaped unicode like GitHub sends it, parsing and
+// serializing it again does not give back the same bytes
+const body = Buffer.from(
+  '{\n  "ref": "refs/heads/12-x-y",\n  "message": "Fix caf\\u00e9 \\u2019docs\\u2019"\n}',
+);
+
+/**
+ * Signs the body like GitHub
+ * @param {'sha1' | 'sha256'} algorithm
+ * @param {string} secret
+ * @param {Buffer | string} [content]
+ */
+const sign = (algorithm, secret, content = body) => {
+  const digest = createHmac(algorithm, secret).update(content).digest('hex');
+
+  return `${algorithm}=${digest}`;
+};
+
+/**
+ * Runs `verifyIntegrity` for a delivery with the given headers and
+ * resolves with the status of the response, `undefined` if the
+ * delivery was let through.
+ * @param {Record<string, string>} headers
+ */
+const verifyDelivery = async (headers) => {
+  const req = {
+    body,
+    header: (name) => headers[name],
+  };
+  let status;
+  const res = {
+    status: (code) => {
+      status = code;
+      return res;
+    },
+    send: () => res,
+  };
+  const next = mock.fn();
+
+  await verifyIntegrity(req, res, next);
+
+  assert.strictEqual(next.mock.callCount(), status === undefined ? 1 : 0);
+
+  return status;
+};
+
+describe('webhook secrets', () => {
+  it('parses the secret and the list of secrets', () => {
+    const secrets = parseWebhookSecrets({
+      secret: 'current',
+      secrets: '[{"name":"old","secret":"old","expiresAt":"2021-10-25"}]',
+    });
+
+    assert.deepStrictEqual(secrets, [
+      { name: 'WEBHOOK_SECRET', secret: 'current', expiresAt: null },
+      { name: 'old', secret: 'old', expiresAt: Date.parse('2021-10-25') },
+    ]);
+  });
+
+  it('does not include the secrets in the errors', () => {
+    assert.throws(
+      () => parseWebhookSecrets({ secrets: '[{"secret": "s3cr3t"' }),
+      { message: '"WEBHOOK_SECRETS" is not valid JSON' },
+    );
+    assert.throws(
+      () =>
+        parseWebhookSecrets({
+          secrets:
+            '[{"secret":"s3cr3t"},{"name":"a","secret":"b","expiresAt":"soon"}]',
+        }),
+      {
+        message:
+          'Invalid webhook secrets:\n' +
+          'WEBHOOK_SECRETS[0]: "name" must be a non empty string\n' +
+          'WEBHOOK_SECRETS[1]: "expiresAt" must be a date',
+      },
+    );
+  });
+
+  it('only returns the secrets that have not expired', () => {
+    const secrets = parseWebhookSecrets({
+      secret: 'current',
+      secrets: process.env.WEBHOOK_SECRETS,
+    });
+
+    assert.deepStrictEqual(
+      getActiveSecrets(secrets).map(({ name }) => name),
+      ['WEBHOOK_SECRET', 'previous'],
+    );
+  });
+
+  it('accepts the deliveries signed with any of the secrets', async () => {
+    assert.strictEqual(
+      await verifyDelivery({
+        'X-Hub-Signature-256': sign('sha256', 'current'),
+      }),
+      undefined,
+    );
+    assert.strictEqual(
+      await verifyDelivery({
+        'X-Hub-Signature-256': sign('sha256', 'previous'),
+      }),
+      undefined,
+    );
+  });
+
+  it('rejects the deliveries signed with an expired or unknown secret', async () => {
+    assert.strictEqual(
+      await verifyDelivery({
+        'X-Hub-Signature-256': sign('sha256', 'revoked'),
+      }),
+      400,
+    );
+    assert.strictEqual(
+      await verifyDelivery({
+        'X-Hub-Signature-256': sign('sha256', 'unknown'),
+      }),
+      400,
+    );
+    assert.match(
+      await register.metrics(),
+      /^website_updater_webhook_signature_failures_total\{reason="expired"\} 1$/m,
+    );
+  });
+
+  it('accepts the legacy SHA-1 signature and counts it', async () => {
+    assert.strictEqual(
+      await verifyDelivery({ 'X-Hub-Signature': sign('sha1', 'current') }),
+      undefined,
+    );
+    assert.match(
+      await register.metrics(),
+      /^website_updater_webhook_legacy_signatures_total 1$/m,
+    );
+  });
+
+  it('verifies the raw bytes of the body', async () => {
+    const reserialized = JSON.stringify(JSON.parse(body.toString('utf-8')));
+
+    assert.notStrictEqual(reserialized, body.toString('utf-8'));
+    assert.strictEqual(
+      await verifyDelivery({
+        'X-Hub-Signature-256': sign('sha256', 'current', reserialized),
+      }),
+      400,
+    );
+    assert.strictEqual(
+      await verifyDelivery({
+        'X-Hub-Signature-256': sign('sha256', 'current'),
+      }),
+      undefined,
+    );
+  });
+
+  it('does not accept a SHA-1 signature in X-Hub-Signature-256', async () => {
+    assert.strictEqual(
+      await verifyDelivery({
+        'X-Hub-Signature-256': sign('sha1', 'current'),
+      }),
+      400,
+    );
+  });
+});
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+//@ts-check
+if (!(process.env.CI || process.env.NODE_ENV === 'test')) {
+  require('dotenv-safe').config();
+}
+
+/**
+ * Sends the docs events of the head of release branches as if there
+ * had been a push with doc changes, e.g. to resync the website after
+ * an outage or a rollback. The events are sent right away, not through
+ * the dispatch queue of the server.
+ *
+ * node bin/backfill.js 12-x-y 11-x-y
+ * node bin/backfill.js --all --dry-run
+ */
+
+const { parseArgs } = require('node:util');
+
+const {
+  getSupportedBranches,
+  planBackfill,
+  runBackfill,
+  validateBackfill,
+} = require('../utils/backfill');
+const { logger } = require('../utils/logger');
+const { loadRules } = require('../utils/rules');
+const {
+  createDispatchEvent,
+  getLatestInformation,
+  isDryRun,
+} = require('../utils/utils');
+
+const USAGE = `Usage: node bin/backfill.js [options] <NN-x-y...>
+
+Options:
+  --all          Backfill the supported branches (SUPPORTED_MAJORS)
+  --sha          Head to send instead of the current one, only with one branch
+  --before       SHA sent as "before" in the payload, only with one branch
+  --interval     Seconds between two dispatches (default BACKFILL_INTERVAL)
+  --dry-run      Print the dispatches without sending them`;
+
+/**
+ * Parses the command line arguments, throws with the usage if they
+ * are not valid.
+ * @param {string[]} args
+ */
+const parseArguments = (args) => {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      all: { type: 'boolean', default: false },
+      sha: { type: 'string' },
+      before: { type: 'string' },
+      interval: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+    },
+  });
+
+  const interval =
+    values.interval === undefined ? undefined : Number(values.interval);
+  const hasBranches = positionals.length > 0;
+
+  if (
+    // Either --all or some branches
+    values.all === hasBranches ||
+    [values.sha, values.before].some(
+      (sha) => sha !== undefined && !/^[0-9a-f]{40}$/i.test(sha),
+    ) ||
+    (interval !== undefined && !(interval >= 0))
+  ) {
+    throw new Error(USAGE);
+  }
+
+  const error = validateBackfill({
+    branches: values.all ? [] : positionals,
+    sha: values.sha,
+    before: values.before,
+  });
+
+  if (error) {
+    throw new Error(`${error}\n\n${USAGE}`);
+  }
+
+  return {
+    all: values.all,
+    branches: positionals,
+    sha: values.sha,
+    before: values.before,
+    interval,
+    dryRun: values['dry-run'] || isDryRun(),
+  };
+};
+
+/**
+ * Sends a dispatch and returns its status, failures are logged.
+ * @param {import('../utils/backfill').BackfillDispatch} dispatch
+ */
+const send = async (dispatch) => {
+  try {
+    await createDispatchEvent(dispatch);
+
+    return 'delivered';
+  } catch (e) {
+    logger.error(`Error sending repository_dispatch`, {
+      target: `${dispatch.owner}/${dispatch.repo}`,
+      eventType: dispatch.eventType,
+      error: e,
+    });
+
+    return 'failed';
+  }
+};
+
+/**
+ * Backfills the branches given in `args` and resolves with the
+ * dispatches and their status.
+ * @param {string[]} args
+ */
+const main = async (args) => {
+  const { all, branches, sha, before, interval, dryRun } = parseArguments(args);
+  const latestInformation = await getLatestInformation();
+  const plan = await planBackfill({
+    rules: loadRules(),
+    latestInformation,
+    branches: all ? getSupportedBranches(latestInformation) : branches,
+    sha,
+    before,
+  });
+
+  for (const decision of plan.decisions) {
+    if (!decision.send) {
+      console.log(
+        `Skipping "${decision.rule}" for ${decision.branch}: ${decision.reason}`,
+      );
+    }
+  }
+
+  if (dryRun) {
+    return plan.dispatches.map((dispatch) => ({
+      ...dispatch,
+      status: 'dry-run',
+    }));
+  }
+
+  return runBackfill(plan.dispatches, { interval, send });
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((dispatches) => {
+      for (const dispatch of dispatches) {
+        const { branch, sha, owner, repo, eventType, status } = dispatch;
+
+        console.log(
+          `${status}: ${eventType} for ${branch}@${sha} -> ${owner}/${repo}`,
+        );
+      }
+
+      if (dispatches.some(({ status }) => status === 'failed')) {
+        process.exit(1);
+      }
+    })
+    .catch((e) => {
+      console.error(e.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  main,
+};
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+//@ts-check
+
+/**
+ * Replays a saved webhook payload through the same decisions as
+ * `/webhook` and prints the dispatches that would be sent, with the
+ * reason of each rule. It never reaches GitHub: the latest release is
+ * given on the command line and nothing is sent.
+ *
+ * node bin/replay.js --event push --latest 12.0.6 payload.json
+ */
+
+const fs = require('node:fs');
+const { parseArgs } = require('node:util');
+const semver = require('semver');
+
+const {
+  evaluatePush,
+  evaluateRelease,
+  isTruncated,
+  toLatestInformation,
+} = require('../utils/decisions');
+const { loadRules } = require('../utils/rules');
+
+const USAGE = `Usage: node bin/replay.js --event <push|release> --latest <version> [options] <payload.json>
+
+Options:
+  --event        The GitHub event of the payload (X-GitHub-Event)
+  --latest       The latest stable version, e.g. 12.0.6
+  --prerelease   A prerelease of a newer major, e.g. 13.0.0-beta.2 (repeatable)
+  --rules        The rules file (default RULES_FILE or config/rules.json)
+  --json         Print the result as JSON`;
+
+const EVENTS = ['push', 'release'];
+
+/**
+ * Runs the webhook `payload` of the given `event` through the `rules`.
+ * Truncated pushes are not compared with GitHub, only the commits of
+ * the payload are used.
+ * @param {object} options
+ * @param {string} options.event
+ * @param {any} options.payload
+ * @param {import('../utils/rules').Rule[]} options.rules
+ * @param {import('../utils/decisions').LatestInformation} options.latestInformation
+ */
+const replay = ({ event, payload, rules, latestInformation }) => {
+  if (event === 'push') {
+    return {
+      ...evaluatePush(rules, latestInformation, payload, null),
+      truncated: isTruncated(payload),
+    };
+  }
+
+  if (event === 'release') {
+    return { ...evaluateRelease(rules, payload), truncated: false };
+  }
+
+  throw new Error(
+    `Unsupported event "${event}", expected one of ${EVENTS.join(', ')}`,
+  );
+};
+
+/**
+ * Transforms the result of `replay` into readable lines.
+ * @param {ReturnType<typeof replay>} result
+ * @param {import('../utils/decisions').LatestInformation} latestInformation
+ */
+const format = ({ decisions, dispatches, truncated }, latestInformation) => {
+  const lines = [
+    `Latest stable: ${latestInformation.version} (${latestInformation.branch})`,
+    `Prerelease branches: ${latestInformation.prereleaseBranches.join(', ') || 'none'}`,
+    '',
+  ];
+
+  if (truncated) {
+    lines.push(
+      'Warning: the push looks truncated, the server would compare the commits with GitHub',
+      '',
+    );
+  }
+
+  for (const decision of decisions) {
+    lines.push(
+      `Rule "${decision.rule}": ${decision.send ? 'send' : 'skip'} (${decision.reason})`,
+    );
+
+    if (Object.keys(decision.details).length > 0) {
+      lines.push(`  ${JSON.stringify(decision.details)}`);
+    }
+
+    for (const { target, eventType } of dispatches.filter(
+      ({ rule }) => rule === decision.rule,
+    )) {
+      lines.push(`  ${eventType} -> ${target.owner}/${target.repo}`);
+    }
+  }
+
+  lines.push('', `${dispatches.length} dispatch(es) would be sent`);
+
+  for (const { target, eventType, payload } of dispatches) {
+    lines.push(
+      '',
+      `${eventType} -> ${target.owner}/${target.repo}`,
+      JSON.stringify(payload, null, 2),
+    );
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Parses the command line arguments, throws with the usage if they
+ * are not valid.
+ * @param {string[]} args
+ */
+const parseArguments = (args) => {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      event: { type: 'string' },
+      latest: { type: 'string' },
+      prerelease: { type: 'string', multiple: true, default: [] },
+      rules: { type: 'string' },
+      json: { type: 'boolean', default: false },
+    },
+  });
+
+  const versions = [values.latest, ...values.prerelease];
+
+  if (
+    !EVENTS.includes(values.event) ||
+    !values.latest ||
+    positionals.length !== 1 ||
+    !versions.every((version) => semver.valid(version))
+  ) {
+    throw new Error(USAGE);
+  }
+
+  return {
+    event: values.event,
+    file: positionals[0],
+    stables: [semver.clean(values.latest)],
+    prereleases: values.prerelease.map((version) => semver.clean(version)),
+    rulesFile: values.rules,
+    json: values.json,
+  };
+};
+
+/**
+ * @param {string[]} args
+ */
+const main = (args) => {
+  const { event, file, stables, prereleases, rulesFile, json } =
+    parseArguments(args);
+  const payload = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const latestInformation = toLatestInformation({ stables, prereleases });
+  const result = replay({
+    event,
+    payload,
+    rules: loadRules(rulesFile),
+    latestInformation,
+  });
+
+  return json
+    ? JSON.stringify({ latestInformation, ...result }, null, 2)
+    : format(result, latestInformation);
+};
+
+if (require.main === module) {
+  try {
+    console.log(main(process.argv.slice(2)));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  main,
+  replay,
+};
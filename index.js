@@ -4,28 +4,57 @@ if (!(process.env.CI || process.env.NODE_ENV === 'test')) {
 }
 
 const express = require('express');
-const bodyParser = require('body-parser');
 
-const { addWebhooks } = require('./routes/webhook');
+const { addAdminRoutes } = require('./routes/admin');
+const { addHealthRoutes } = require('./routes/health');
+const { addMetricsRoutes } = require('./routes/metrics');
+const { addWebhooks, flushDispatches } = require('./routes/webhook');
+const { logger } = require('./utils/logger');
+const {
+  getDispatchQueue,
+  isDryRun,
+  validatePrivateKey,
+} = require('./utils/utils');
 
+/**
+ * Starts the server in the given `port`. Rejects if the
+ * configuration is not valid. The deferred dispatches are
+ * sent when the server is closed.
+ * @param {string | number} port
+ */
 const start = async (port) => {
-  return new Promise(async (resolve) => {
-    const app = express();
+  const app = express();
 
-    app.use(bodyParser.json({ limit: '1mb' }));
+  validatePrivateKey();
 
-    await addWebhooks(app);
+  if (isDryRun()) {
+    logger.warn(`Dry run: repository_dispatch events are recorded, not sent`);
+  }
 
-    app.get('/', (_req, res) => {
-      res.send(`There's nothing here!`);
-    });
+  // Resume the dispatches that were pending before a restart, a dry run
+  // leaves them for the next real run
+  getDispatchQueue();
+
+  addHealthRoutes(app);
+  addMetricsRoutes(app);
+  await addWebhooks(app);
+  await addAdminRoutes(app);
+
+  app.get('/', (_req, res) => {
+    res.send(`There's nothing here!`);
+  });
 
+  return new Promise((resolve) => {
     const server = app.listen(port, () => {
-      console.log(`API listening on port ${port}`);
+      logger.info(`API listening on port ${port}`);
       // @ts-expect-error FIXME: see if we can remove this line of code because `server.port` is not valid according to the types
       server.port = port;
       resolve(server);
     });
+
+    // Deferred dispatches are only in memory, they are sent once no more
+    // deliveries can come in
+    server.on('close', () => flushDispatches(app));
   });
 };
 
@@ -36,7 +65,19 @@ const start = async (port) => {
 if (require.main === module) {
   const port = process.env.PORT || 3000;
 
-  start(port);
+  start(port)
+    .then((server) => {
+      for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+          logger.info(`Received ${signal}, stopping the server`);
+          server.close();
+        });
+      }
+    })
+    .catch((e) => {
+      logger.error(`Could not start the server`, { reason: e.message });
+      process.exit(1);
+    });
 }
 
 module.exports = {
@@ -0,0 +1,389 @@
+//@ts-check
+
+const { createHash, timingSafeEqual } = require('node:crypto');
+
+const bodyParser = require('body-parser');
+
+const { DELIVERY_STATUSES } = require('../utils/audit-log');
+const {
+  getSupportedBranches,
+  planBackfill,
+  runBackfill,
+  validateBackfill,
+} = require('../utils/backfill');
+const { logger } = require('../utils/logger');
+const {
+  getPushEventTypes,
+  getRebuildPayload,
+  isReleasedBranch,
+} = require('../utils/decisions');
+const {
+  getAuditLog,
+  getBranchHead,
+  getDefaultBranch,
+  getDispatchQueue,
+  getDryRunDispatches,
+  getLatestInformation,
+  isDryRun,
+  sendRepositoryDispatchEvent,
+} = require('../utils/utils');
+
+const { ADMIN_TOKEN } = process.env;
+
+/**
+ * Hashes the value so tokens of different lengths can be compared
+ * with `timingSafeEqual`.
+ * @param {string} value
+ */
+const digest = (value) => {
+  return createHash('sha256').update(value).digest();
+};
+
+/**
+ * Middleware that only lets through requests with the header
+ * `Authorization: Bearer ADMIN_TOKEN`.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+const requireAdminToken = (req, res, next) => {
+  const [scheme, token] = (req.header('Authorization') || '').split(' ');
+
+  if (
+    scheme !== 'Bearer' ||
+    !token ||
+    !timingSafeEqual(digest(token), digest(ADMIN_TOKEN))
+  ) {
+    return res.status(401).send(`Invalid admin token`);
+  }
+
+  return next();
+};
+
+/**
+ * Lists the dispatches that could not be delivered.
+ * @param {import('express').Request} _req
+ * @param {import('express').Response} res
+ */
+const deadLettersHandler = (_req, res) => {
+  return res.json(getDispatchQueue().listDeadLetters());
+};
+
+/**
+ * Lists the dispatches that would have been sent in dry-run mode.
+ * @param {import('express').Request} _req
+ * @param {import('express').Response} res
+ */
+const dryRunDispatchesHandler = (_req, res) => {
+  return res.json(getDryRunDispatches());
+};
+
+/**
+ * Puts back a dead letter in the dispatch queue. Refused in dry-run,
+ * where nothing can be sent.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+const requeueHandler = async (req, res) => {
+  if (isDryRun()) {
+    return res
+      .status(409)
+      .send(`Dead letters cannot be requeued in dry-run mode`);
+  }
+
+  const entry = await getDispatchQueue().requeue(req.params.id);
+
+  if (!entry) {
+    return res.status(404).send(`Dead letter not found`);
+  }
+
+  return res.json(entry);
+};
+
+/**
+ * Sends the `repository_dispatch` event `eventType` for the head of
+ * `branch` (or the given `sha`) as if there had been a push with doc
+ * changes. The event is only sent if a push to the branch would send
+ * it, e.g. `doc_changes` is only sent for the latest stable. Responds
+ * with a 502 if any of the events could not be queued.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+const dispatchHandler = async (req, res) => {
+  const { branch, sha, eventType } = req.body || {};
+
+  if (typeof branch !== 'string' || !branch) {
+    return res.status(400).send(`"branch" is required`);
+  }
+
+  if (typeof eventType !== 'string' || !eventType) {
+    return res.status(400).send(`"eventType" is required`);
+  }
+
+  if (sha !== undefined && !/^[0-9a-f]{40}$/i.test(sha)) {
+    return res.status(400).send(`"sha" must be a full commit SHA`);
+  }
+
+  /** @type {import('../utils/rules').Rule[]} */
+  const rules = req.app.locals.rules.filter(
+    (rule) =>
+      Object.values(rule.events).includes(eventType) &&
+      rule.branches.test(branch),
+  );
+
+  if (rules.length === 0) {
+    return res
+      .status(422)
+      .send(`There is no rule that sends "${eventType}" for "${branch}"`);
+  }
+
+  try {
+    const latestInformation = await getLatestInformation();
+    const dispatches = [];
+
+    for (const rule of rules) {
+      const { owner, repo } = rule.source;
+      const defaultBranch = await getDefaultBranch(owner, repo);
+      const push = {
+        ref: `refs/heads/${branch}`,
+        repository: {
+          full_name: `${owner}/${repo}`,
+          default_branch: defaultBranch,
+        },
+      };
+
+      // Same "is latest" logic as a real push
+      if (
+        !isReleasedBranch(latestInformation, branch) ||
+        !getPushEventTypes(rule, latestInformation, push).includes(eventType)
+      ) {
+        continue;
+      }
+
+      const payload = getRebuildPayload(rule.source, {
+        branch,
+        sha: sha || (await getBranchHead(owner, repo, branch)),
+        defaultBranch,
+      });
+
+      for (const target of rule.targets) {
+        const entry = await sendRepositoryDispatchEvent(
+          target.owner,
+          target.repo,
+          eventType,
+          payload,
+        );
+        dispatches.push({
+          ...target,
+          eventType,
+          payload,
+          ...(entry
+            ? { id: entry.id, status: entry.status }
+            : { status: 'failed' }),
+        });
+      }
+    }
+
+    if (dispatches.length === 0) {
+      return res
+        .status(422)
+        .send(`"${eventType}" is not sent for pushes to "${branch}"`);
+    }
+
+    if (dispatches.some(({ status }) => status === 'failed')) {
+      return res.status(502).json({ dispatches });
+    }
+
+    return res.json({ dispatches });
+  } catch (e) {
+    logger.error(`Error dispatching ${eventType} for ${branch}`, {
+      error: e,
+    });
+
+    return res.status(e.status === 404 ? 404 : 502).send(e.message);
+  }
+};
+
+/**
+ * Sends the docs events of the head of each of the `branches` (or of
+ * the supported ones with `all`), e.g. to resync the website after an
+ * outage. With `dryRun` the dispatches are only returned.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+const backfillHandler = async (req, res) => {
+  const { branches, all, sha, before, dryRun, interval } = req.body || {};
+
+  if (
+    !all &&
+    (!Array.isArray(branches) ||
+      branches.length === 0 ||
+      !branches.every((branch) => typeof branch === 'string'))
+  ) {
+    return res.status(400).send(`"branches" or "all" is required`);
+  }
+
+  for (const [name, value] of Object.entries({ sha, before })) {
+    if (value !== undefined && !/^[0-9a-f]{40}$/i.test(value)) {
+      return res.status(400).send(`"${name}" must be a full commit SHA`);
+    }
+  }
+
+  if (
+    interval !== undefined &&
+    (typeof interval !== 'number' || !(interval >= 0))
+  ) {
+    return res.status(400).send(`"interval" must be a number of seconds`);
+  }
+
+  // The supported branches are always release branches, but there are many
+  const error = validateBackfill({
+    branches: all ? [] : branches,
+    sha,
+    before,
+  });
+
+  if (error) {
+    return res.status(400).send(error);
+  }
+
+  try {
+    const latestInformation = await getLatestInformation();
+    const plan = await planBackfill({
+      rules: req.app.locals.rules,
+      latestInformation,
+      branches: all ? getSupportedBranches(latestInformation) : branches,
+      sha,
+      before,
+    });
+
+    if (dryRun) {
+      return res.json({
+        decisions: plan.decisions,
+        dispatches: plan.dispatches.map((dispatch) => ({
+          ...dispatch,
+          status: 'dry-run',
+        })),
+      });
+    }
+
+    const dispatches = await runBackfill(plan.dispatches, {
+      interval,
+      send: async ({ owner, repo, eventType, payload }) => {
+        const entry = await sendRepositoryDispatchEvent(
+          owner,
+          repo,
+          eventType,
+          payload,
+        );
+
+        return entry ? entry.status : 'failed';
+      },
+    });
+
+    return res.json({ decisions: plan.decisions, dispatches });
+  } catch (e) {
+    logger.error(`Error backfilling`, { error: e });
+
+    return res.status(e.status === 404 ? 404 : 502).send(e.message);
+  }
+};
+
+/**
+ * Maximum number of deliveries returned by `GET /deliveries`.
+ */
+const MAX_DELIVERIES = 1000;
+
+/**
+ * Parses the date of the query parameter `name`, `null` if it is not
+ * a valid date.
+ * @param {import('express').Request} req
+ * @param {string} name
+ */
+const getDateParameter = (req, name) => {
+  const value = req.query[name];
+
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const date = new Date(`${value}`);
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Lists the received deliveries, newest first, filtered by `branch`,
+ * `status` and the time range `since`...`until`.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+const deliveriesHandler = (req, res) => {
+  const { branch, status, limit = '100' } = req.query;
+  const since = getDateParameter(req, 'since');
+  const until = getDateParameter(req, 'until');
+  const max = parseInt(`${limit}`);
+
+  if (since === null || until === null) {
+    return res.status(400).send(`"since" and "until" must be dates`);
+  }
+
+  if (status !== undefined && !DELIVERY_STATUSES.includes(`${status}`)) {
+    return res
+      .status(400)
+      .send(`"status" must be one of ${DELIVERY_STATUSES.join(', ')}`);
+  }
+
+  if (isNaN(max) || max < 1 || max > MAX_DELIVERIES) {
+    return res
+      .status(400)
+      .send(`"limit" must be between 1 and ${MAX_DELIVERIES}`);
+  }
+
+  const queue = getDispatchQueue();
+  const deliveries = getAuditLog().query(
+    {
+      branch: branch === undefined ? undefined : `${branch}`,
+      status: /** @type {any} */ (status),
+      since,
+      until,
+      limit: max,
+    },
+    (id) => queue.getStatus(id),
+  );
+
+  return res.json(deliveries);
+};
+
+const jsonBody = bodyParser.json({ limit: '1mb' });
+
+/**
+ * Adds the admin API to the given `app`. The API is only available
+ * when `ADMIN_TOKEN` is specified.
+ * @param {import('express').Application} app
+ */
+const addAdminRoutes = async (app) => {
+  if (!ADMIN_TOKEN) {
+    logger.warn('No admin token specified, admin API disabled');
+    return;
+  }
+
+  app.get('/deliveries', requireAdminToken, deliveriesHandler);
+  app.post('/admin/dispatch', requireAdminToken, jsonBody, dispatchHandler);
+  app.post('/admin/backfill', requireAdminToken, jsonBody, backfillHandler);
+  app.get('/admin/dead-letters', requireAdminToken, deadLettersHandler);
+  app.get(
+    '/admin/dry-run-dispatches',
+    requireAdminToken,
+    dryRunDispatchesHandler,
+  );
+  app.post(
+    '/admin/dead-letters/:id/requeue',
+    requireAdminToken,
+    requeueHandler,
+  );
+};
+
+module.exports = {
+  addAdminRoutes,
+};
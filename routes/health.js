@@ -0,0 +1,164 @@
+//@ts-check
+
+const {
+  getAuthorization,
+  getDispatchQueue,
+  getLatestInformation,
+  getReleasesFetchedAt,
+  getWebhookSecrets,
+} = require('../utils/utils');
+const { getActiveSecrets } = require('../utils/webhook-secrets');
+
+const {
+  READY_RELEASES_MAX_AGE = '3600',
+  READY_MAX_PENDING_DISPATCHES = '100',
+} = process.env;
+
+/**
+ * @typedef {{ status: 'ok' | 'fail', message?: string } & Record<string, unknown>} CheckResult
+ */
+
+/**
+ * Checks that there is an auth strategy to talk to GitHub.
+ * @returns {CheckResult}
+ */
+const checkAuthorization = () => {
+  try {
+    const authorization = getAuthorization();
+
+    return {
+      status: 'ok',
+      strategy: authorization.authStrategy ? 'app' : 'token',
+    };
+  } catch (e) {
+    // The errors of the private key never include it
+    return { status: 'fail', message: e.message };
+  }
+};
+
+/**
+ * Checks that the releases were looked up successfully in the last
+ * `READY_RELEASES_MAX_AGE` seconds. The lookup is cached so this only
+ * reaches GitHub once the cache has expired.
+ * @returns {Promise<CheckResult>}
+ */
+const checkReleases = async () => {
+  try {
+    await getLatestInformation();
+  } catch (e) {
+    return { status: 'fail', message: `Could not look up the releases` };
+  }
+
+  const fetchedAt = getReleasesFetchedAt();
+  const lastSuccessAt = fetchedAt ? new Date(fetchedAt).toISOString() : null;
+
+  if (
+    !fetchedAt ||
+    Date.now() - fetchedAt > parseInt(READY_RELEASES_MAX_AGE) * 1000
+  ) {
+    return {
+      status: 'fail',
+      message: `The releases have not been looked up successfully in the last ${READY_RELEASES_MAX_AGE}s`,
+      lastSuccessAt,
+    };
+  }
+
+  return { status: 'ok', lastSuccessAt };
+};
+
+/**
+ * Checks that there is at least one webhook secret that has not
+ * expired, and lists them with their expiry.
+ * @returns {CheckResult}
+ */
+const checkWebhookSecret = () => {
+  let secrets;
+
+  try {
+    secrets = getWebhookSecrets();
+  } catch (e) {
+    return { status: 'fail', message: e.message };
+  }
+
+  if (secrets.length === 0) {
+    return {
+      status: 'fail',
+      message: `"WEBHOOK_SECRET" or "WEBHOOK_SECRETS" is not specified`,
+    };
+  }
+
+  const active = getActiveSecrets(secrets).map(({ name, expiresAt }) => ({
+    name,
+    expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString(),
+  }));
+
+  if (active.length === 0) {
+    return { status: 'fail', message: `All the webhook secrets have expired` };
+  }
+
+  return { status: 'ok', secrets: active };
+};
+
+/**
+ * Checks that there are fewer than `READY_MAX_PENDING_DISPATCHES`
+ * dispatches waiting for a retry.
+ * @returns {CheckResult}
+ */
+const checkDispatchQueue = () => {
+  const queue = getDispatchQueue();
+  const pending = queue.listPending().length;
+  const deadLetters = queue.listDeadLetters().length;
+
+  if (pending >= parseInt(READY_MAX_PENDING_DISPATCHES)) {
+    return {
+      status: 'fail',
+      message: `${pending} dispatches are waiting for a retry`,
+      pending,
+      deadLetters,
+    };
+  }
+
+  return { status: 'ok', pending, deadLetters };
+};
+
+/**
+ * Liveness: the process is up and serving requests.
+ * @param {import('express').Request} _req
+ * @param {import('express').Response} res
+ */
+const healthHandler = (_req, res) => {
+  return res.json({ status: 'ok' });
+};
+
+/**
+ * Readiness: the server can receive webhooks and dispatch events.
+ * Responds with a `503` if any of the checks fails.
+ * @param {import('express').Request} _req
+ * @param {import('express').Response} res
+ */
+const readyHandler = async (_req, res) => {
+  const checks = {
+    authorization: checkAuthorization(),
+    releases: await checkReleases(),
+    webhookSecret: checkWebhookSecret(),
+    dispatchQueue: checkDispatchQueue(),
+  };
+  const ready = Object.values(checks).every(({ status }) => status === 'ok');
+
+  return res
+    .status(ready ? 200 : 503)
+    .json({ status: ready ? 'ok' : 'fail', checks });
+};
+
+/**
+ * Adds the `/healthz` and `/readyz` routes to the given `app`.
+ * @param {import('express').Application} app
+ */
+const addHealthRoutes = (app) => {
+  app.get('/healthz', healthHandler);
+  app.get('/readyz', readyHandler);
+};
+
+module.exports = {
+  addHealthRoutes,
+};
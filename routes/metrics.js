@@ -0,0 +1,26 @@
+//@ts-check
+
+const { register } = require('../utils/metrics');
+
+/**
+ * Responds with the metrics in the Prometheus text format.
+ * @param {import('express').Request} _req
+ * @param {import('express').Response} res
+ */
+const metricsHandler = async (_req, res) => {
+  res.set('Content-Type', register.contentType);
+
+  return res.send(await register.metrics());
+};
+
+/**
+ * Adds the `/metrics` route to the given `app`.
+ * @param {import('express').Application} app
+ */
+const addMetricsRoutes = (app) => {
+  app.get('/metrics', metricsHandler);
+};
+
+module.exports = {
+  addMetricsRoutes,
+};
@@ -1,102 +1,257 @@
 //@ts-check
 
-const semver = require('semver');
+const bodyParser = require('body-parser');
 
 const {
+  compareCommits,
+  getAuditLog,
   getLatestInformation,
+  getWebhookSecrets,
   verifyIntegrity,
   sendRepositoryDispatchEvent,
 } = require('../utils/utils');
+const { createCoalescer } = require('../utils/coalescer');
+const {
+  REASONS,
+  evaluatePush,
+  evaluateRelease,
+  getReleasePayload,
+  isFromSource,
+  isPushForRule,
+  isTruncated,
+  mergePushPayloads,
+} = require('../utils/decisions');
+const { createExpiringSet } = require('../utils/expiring-set');
+const { addLogContext, logger, withLogContext } = require('../utils/logger');
+const { decisions, webhooksReceived } = require('../utils/metrics');
+const { loadRules } = require('../utils/rules');
+const { createThrottle } = require('../utils/throttle');
 
-const OWNER = process.env.OWNER || 'electron';
-const SOURCE_REPO = `electron`;
-const TARGET_REPO = `website`;
-const EVENT_TYPE = {
-  CURRENT: 'doc_changes',
-  BRANCHES: 'doc_changes_branches',
-};
+const {
+  DEDUPLICATION_TTL = '86400',
+  DISPATCH_DEBOUNCE = '0',
+  DISPATCH_MAX_WAIT = '300',
+  NIGHTLY_MIN_INTERVAL = '1800',
+} = process.env;
 
 /**
- * Verifies there is at least one file added, modified, or removed
- * in the given `folder` through all the commits associated in the
- * push.
- * @param {import('@octokit/webhooks-types').PushEvent} pushEvent
- * @param {string} folder
+ * Maximum number of delivery IDs and dispatches remembered to
+ * detect duplicates.
  */
-const areFilesInFolderChanged = (pushEvent, folder) => {
-  const isInPath = (file) => {
-    return file.includes(folder);
-  };
+const DEDUPLICATION_MAX_SIZE = 10000;
 
-  const { commits } = pushEvent;
+/**
+ * Compares the commits before and after the push when the payload
+ * looks truncated. Returns `null` if there is no need to or GitHub
+ * could not be reached, in which case the commits of the payload
+ * should be used.
+ * @param {import('@octokit/webhooks-types').PushEvent} payload
+ */
+const comparePush = async (payload) => {
+  if (!isTruncated(payload)) {
+    return null;
+  }
 
-  return commits.some((commit) => {
-    return (
-      commit.modified.some(isInPath) ||
-      commit.added.some(isInPath) ||
-      commit.removed.some(isInPath)
+  const [owner, repo] = payload.repository.full_name.split('/');
+
+  try {
+    logger.info(
+      `Push looks truncated, comparing ${payload.before}...${payload.after}`,
     );
-  });
+
+    return await compareCommits(owner, repo, payload.before, payload.after);
+  } catch (e) {
+    logger.error(`Could not compare ${payload.before}...${payload.after}`, {
+      error: e,
+    });
+
+    return null;
+  }
+};
+
+/**
+ * Returns what happened to a dispatch given the `entry` of the
+ * dispatch queue, `undefined` if it could not be queued.
+ * @param {import('../utils/rules').Repository} target
+ * @param {string} eventType
+ * @param {Awaited<ReturnType<typeof sendRepositoryDispatchEvent>>} entry
+ * @returns {import('../utils/audit-log').DispatchRecord}
+ */
+const toDispatchRecord = ({ owner, repo }, eventType, entry) => {
+  if (!entry) {
+    return { owner, repo, eventType, status: 'failed' };
+  }
+
+  // Dry-run dispatches are not in the dispatch queue
+  if (entry.status === 'dry-run') {
+    return { owner, repo, eventType, status: 'dry-run' };
+  }
+
+  return { owner, repo, eventType, status: entry.status, id: entry.id };
 };
 
 /**
- * Returns the major part of a branch format (`xx-y-z`)
- * @param {string} version
+ * Returns the decision for a delivery given the ones for each rule.
+ * Deliveries that come from none of the sources of the rules are
+ * ignored.
+ * @param {import('../utils/audit-log').Delivery} delivery
+ * @returns {import('../utils/audit-log').Delivery['decision']}
  */
-const getMajor = (version) => {
-  const majorRegex = /(?:refs\/heads\/)?(\d+)-x-y/;
-  const [, major] = majorRegex.exec(version);
+const getDeliveryDecision = (delivery) => {
+  if (delivery.dispatches.length > 0) {
+    return 'dispatched';
+  }
+
+  if (delivery.rules.every(({ reason }) => reason === REASONS.WRONG_SOURCE)) {
+    return 'ignored';
+  }
 
-  return parseInt(major);
+  return 'skipped';
 };
 
 /**
- * Compares 2 refs or branches and returns a boolean indicating
- * if `current` is from a previous release than `latest`.
- * @param {string} latest
- * @param {string} current
+ * Records the delivery in the audit log and responds with the decision
+ * taken, the reason of each rule and the dispatches sent. The
+ * `decision` is computed from the rules unless it is given with its
+ * `reason` (e.g. for duplicated deliveries).
+ * @param {import('express').Response} res
+ * @param {import('../utils/audit-log').Delivery['decision']} [decision]
+ * @param {string} [reason]
  */
-const isLatest = (latest, current) => {
-  try {
-    const latestMajor = getMajor(latest);
-    const currentMajor = getMajor(current);
+const respond = (res, decision, reason) => {
+  /** @type {import('../utils/audit-log').Delivery} */
+  const delivery = res.locals.delivery;
+  delivery.decision = decision || getDeliveryDecision(delivery);
 
-    if (currentMajor < latestMajor) {
-      return false;
-    } else {
-      return true;
-    }
+  if (reason) {
+    delivery.reason = reason;
+    decisions.inc({ event: delivery.event, reason });
+  }
+
+  for (const rule of delivery.rules) {
+    decisions.inc({ event: delivery.event, reason: rule.reason });
+  }
+
+  try {
+    getAuditLog().record(delivery);
   } catch (e) {
-    return false;
+    logger.error(`Could not record the delivery`, { error: e });
   }
+
+  logger.info(`Delivery ${delivery.decision}`, {
+    reason: delivery.reason,
+    dispatches: delivery.dispatches.length,
+  });
+
+  return res.status(200).json({
+    decision: delivery.decision,
+    reason: delivery.reason,
+    rules: delivery.rules,
+    dispatches: delivery.dispatches,
+  });
 };
 
 /**
- * @returns {boolean}
+ * @typedef {object} DeferredDispatch A dispatch held by the coalescer or
+ * the throttle
+ * @property {import('../utils/rules').Repository} target
+ * @property {string} eventType
+ * @property {any} payload
+ * @property {{ delivery: import('../utils/audit-log').Delivery, record: import('../utils/audit-log').DispatchRecord, key: string }[]} deliveries
+ * The deliveries merged in the dispatch, with their record of it and its
+ * key in `app.locals.dispatches`
  */
-const shouldSendEvent = (stableBranch, payload) => {
-  const branchCommit = payload.ref.replace('refs/heads/', '');
-  // Event is coming from the right source
-  if (payload.repository.full_name !== `${OWNER}/${SOURCE_REPO}`) {
-    return false;
+
+/**
+ * Sends a `repository_dispatch` for a push unless the same branch, SHA
+ * and event type have already been dispatched to the `target` (e.g.
+ * because the same commit was pushed to a branch twice). The record of
+ * a deferred dispatch is updated once it is sent.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('../utils/rules').Repository} target
+ * @param {string} eventType
+ * @param {{ sha: string, branch: string }} payload
+ * @returns {Promise<import('../utils/audit-log').DispatchRecord | undefined>}
+ */
+const sendPushDispatchEvent = async (req, res, target, eventType, payload) => {
+  /** @type {ReturnType<typeof createExpiringSet>} */
+  const dispatches = req.app.locals.dispatches;
+  const { owner, repo } = target;
+  const key = `${owner}/${repo}:${payload.branch}:${payload.sha}:${eventType}`;
+
+  if (dispatches.has(key)) {
+    logger.info(
+      `Skipping ${eventType} for ${payload.branch}@${payload.sha}: already dispatched to ${owner}/${repo}`,
+    );
+    return undefined;
   }
 
-  // The event comes from a stable branch (`vXX-x-y`)
-  if (!/^\d\d?-x-y/.test(branchCommit)) {
-    return false;
+  dispatches.add(key);
+
+  /** @type {import('../utils/audit-log').DispatchRecord} */
+  const record = { owner, repo, eventType, status: 'deferred' };
+  /** @type {DeferredDispatch} */
+  const deferred = {
+    target,
+    eventType,
+    payload,
+    deliveries: [{ delivery: res.locals.delivery, record, key }],
+  };
+  /** @type {ReturnType<typeof createThrottle> | undefined} */
+  const throttle = req.app.locals.throttle;
+
+  // Pushes to the default branch are frequent, so nightly docs are rebuilt
+  // at most once every `NIGHTLY_MIN_INTERVAL`. The record is already
+  // updated if the dispatch was sent right away.
+  if (payload.defaultBranch && throttle) {
+    await throttle.add(
+      `${owner}/${repo}:${payload.branch}:${eventType}`,
+      deferred,
+    );
+    return record;
   }
 
-  // Docs have been modified in the commit
-  if (!areFilesInFolderChanged(payload, 'docs')) {
-    return false;
+  /** @type {ReturnType<typeof createCoalescer> | undefined} */
+  const coalescer = req.app.locals.coalescer;
+
+  // Bursts of pushes to the same branch are sent as a single event
+  if (coalescer) {
+    coalescer.add(`${owner}/${repo}:${payload.branch}:${eventType}`, deferred);
+    return record;
   }
 
-  // We do not want to process commits from future stables
-  if (getMajor(branchCommit) > getMajor(stableBranch)) {
-    return false;
+  const entry = await sendRepositoryDispatchEvent(
+    owner,
+    repo,
+    eventType,
+    payload,
+  );
+
+  // The next delivery of the same push has to try again
+  if (!entry) {
+    dispatches.remove(key);
   }
 
-  return true;
+  return toDispatchRecord(target, eventType, entry);
+};
+
+/**
+ * Logs the `decision` taken for a rule and adds it to the delivery.
+ * @param {import('express').Response} res
+ * @param {import('../utils/decisions').Decision} decision
+ */
+const addDecision = (res, decision) => {
+  /** @type {import('../utils/audit-log').Delivery} */
+  const delivery = res.locals.delivery;
+  delivery.rules.push(decision);
+
+  logger.info(
+    decision.send
+      ? `Sending ${decision.eventTypes.join(', ')} for rule "${decision.rule}"`
+      : `Skipping rule "${decision.rule}": ${decision.reason}`,
+    { rule: decision.rule, reason: decision.reason, details: decision.details },
+  );
 };
 
 /**
@@ -105,35 +260,49 @@ const shouldSendEvent = (stableBranch, payload) => {
  * @param {import('express').Response} res
  */
 const pushHandler = async (req, res) => {
-  const { branch } = await getLatestInformation();
+  const latestInformation = await getLatestInformation();
 
   /** @type {import('@octokit/webhooks-types').PushEvent} */
   const payload = req.body;
+  /** @type {import('../utils/audit-log').Delivery} */
+  const delivery = res.locals.delivery;
+  delivery.ref = payload.ref;
+  delivery.branch = payload.ref.replace(/^refs\/heads\//, '');
+  delivery.sha = payload.after;
 
-  if (shouldSendEvent(branch, payload)) {
-    const latest = isLatest(branch, payload.ref);
+  /** @type {import('../utils/rules').Rule[]} */
+  const rules = req.app.locals.rules;
+  const comparison = rules.some((rule) => isPushForRule(rule, payload))
+    ? await comparePush(payload)
+    : null;
 
-    // Send an event that will update the docs in `vXX-Y-Z`
-    await sendRepositoryDispatchEvent(OWNER, TARGET_REPO, EVENT_TYPE.BRANCHES, {
-      sha: payload.after,
-      branch: payload.ref.replace('refs/heads/', ''),
-    });
+  const evaluation = evaluatePush(
+    rules,
+    latestInformation,
+    payload,
+    comparison,
+  );
+  evaluation.decisions.forEach((decision) => addDecision(res, decision));
 
-    // Send an event that will update the docs in `main` if changes are for latest
-    if (latest) {
-      await sendRepositoryDispatchEvent(
-        OWNER,
-        TARGET_REPO,
-        EVENT_TYPE.CURRENT,
-        {
-          sha: payload.after,
-          branch: payload.ref.replace('refs/heads/', ''),
-        },
-      );
+  for (const {
+    target,
+    eventType,
+    payload: dispatchPayload,
+  } of evaluation.dispatches) {
+    const dispatch = await sendPushDispatchEvent(
+      req,
+      res,
+      target,
+      eventType,
+      dispatchPayload,
+    );
+
+    if (dispatch) {
+      delivery.dispatches.push(dispatch);
     }
   }
 
-  return res.status(200).send();
+  return respond(res);
 };
 
 /**
@@ -142,12 +311,123 @@ const pushHandler = async (req, res) => {
  * @param {import('express').Response} res
  */
 const releaseHandler = async (req, res) => {
-  // We keep this handler for historic reasons but all updates are done via the push event
+  /** @type {import('@octokit/webhooks-types').ReleaseEvent} */
+  const payload = req.body;
+  /** @type {import('../utils/audit-log').Delivery} */
+  const delivery = res.locals.delivery;
+  delivery.action = payload.action;
+  delivery.ref = `refs/tags/${payload.release.tag_name}`;
+  addLogContext({ ref: delivery.ref });
+
+  logger.info(`New release payload received (${payload.action})`);
+
+  /** @type {import('../utils/rules').Rule[]} */
+  const rules = req.app.locals.rules;
+
+  // Any release change can modify what the latest stable is
+  if (rules.some((rule) => isFromSource(rule, payload))) {
+    try {
+      await getLatestInformation({ refresh: true });
+    } catch (e) {
+      logger.error(`Could not refresh the latest release information`, {
+        error: e,
+      });
+    }
+  }
+
+  const releasePayload = getReleasePayload(payload.release);
+
+  if (releasePayload) {
+    delivery.branch = releasePayload.branch;
+  }
+
+  const evaluation = evaluateRelease(rules, payload);
+  evaluation.decisions.forEach((decision) => addDecision(res, decision));
+
+  for (const {
+    target,
+    eventType,
+    payload: dispatchPayload,
+  } of evaluation.dispatches) {
+    const entry = await sendRepositoryDispatchEvent(
+      target.owner,
+      target.repo,
+      eventType,
+      dispatchPayload,
+    );
+    delivery.dispatches.push(toDispatchRecord(target, eventType, entry));
+  }
+
+  return respond(res);
+};
+
+/**
+ * Middleware that tags all the lines logged while handling a delivery
+ * with its ID and event. The ref is added once the body is parsed.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} _res
+ * @param {import('express').NextFunction} next
+ */
+const logContext = (req, _res, next) => {
+  const fields = {
+    deliveryId: req.header('X-GitHub-Delivery') || null,
+    event: req.header('X-GitHub-Event') || null,
+    ref: null,
+  };
+
+  withLogContext(fields, next);
+};
+
+/**
+ * Keeps the body as raw bytes, the signature is computed on them.
+ */
+const rawBody = bodyParser.raw({ type: () => true, limit: '1mb' });
+
+/**
+ * Middleware that parses the JSON body of a delivery, once its
+ * signature has been verified.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+const parseBody = (req, res, next) => {
+  try {
+    req.body = JSON.parse(req.body.toString('utf-8'));
+  } catch (e) {
+    logger.warn(`Invalid JSON payload`);
+    return res.status(400).send(`Invalid JSON payload`);
+  }
 
-  console.log(`New release payload received`);
+  addLogContext({ ref: (req.body && req.body.ref) || null });
 
-  return res.status(200).send();
+  return next();
 };
+
+/**
+ * Runs the `handler` of an event. If it fails the delivery is
+ * forgotten and a 503 is returned, so GitHub can deliver it again.
+ * @param {(req: import('express').Request, res: import('express').Response) => Promise<unknown>} handler
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+const runHandler = async (handler, req, res) => {
+  try {
+    await handler(req, res);
+  } catch (e) {
+    logger.error(`Could not process the delivery`, { error: e });
+
+    const deliveryId = req.header('X-GitHub-Delivery');
+
+    if (deliveryId) {
+      req.app.locals.deliveries.remove(deliveryId);
+    }
+
+    if (!res.headersSent) {
+      res.status(503).send(`Could not process the delivery`);
+    }
+  }
+};
+
 /**
  * Event handler router.
  * @param {import('express').Request} req
@@ -155,15 +435,46 @@ const releaseHandler = async (req, res) => {
  * @param {import('express').NextFunction} next
  */
 const eventHandler = (req, res, next) => {
-  switch (req.header('X-GitHub-Event')) {
+  const deliveryId = req.header('X-GitHub-Delivery');
+  const event = req.header('X-GitHub-Event');
+  /** @type {ReturnType<typeof createExpiringSet>} */
+  const deliveries = req.app.locals.deliveries;
+
+  /** @type {import('../utils/audit-log').Delivery} */
+  res.locals.delivery = {
+    id: deliveryId || null,
+    receivedAt: new Date().toISOString(),
+    event: event || 'unknown',
+    ref: null,
+    branch: null,
+    sha: null,
+    decision: 'skipped',
+    rules: [],
+    dispatches: [],
+  };
+
+  webhooksReceived.inc({ event: event || 'unknown' });
+
+  // GitHub uses the same ID when a delivery is redelivered
+  if (deliveryId) {
+    if (deliveries.has(deliveryId)) {
+      logger.info(`Skipping delivery: already processed`);
+      respond(res, 'duplicate', 'duplicate-delivery');
+      return;
+    }
+
+    deliveries.add(deliveryId);
+  }
+
+  switch (event) {
     case 'ping':
-      res.status(200).send();
+      respond(res, 'ignored', 'ping');
       break;
     case 'push':
-      pushHandler(req, res);
+      runHandler(pushHandler, req, res);
       break;
     case 'release':
-      releaseHandler(req, res);
+      runHandler(releaseHandler, req, res);
       break;
     default:
       next();
@@ -174,13 +485,105 @@ const eventHandler = (req, res, next) => {
 
 /**
  * Adds the right handles for the `push` and `release`
- * webhooks to the given `app`.
+ * webhooks to the given `app`. Throws if the rules file
+ * or the webhook secrets are not valid.
  * @param {import('express').Application} app
  */
 const addWebhooks = async (app) => {
-  app.post('/webhook', verifyIntegrity, eventHandler);
+  app.locals.rules = loadRules();
+  getWebhookSecrets();
+
+  const options = {
+    ttl: parseInt(DEDUPLICATION_TTL) * 1000,
+    maxSize: DEDUPLICATION_MAX_SIZE,
+  };
+  app.locals.deliveries = createExpiringSet(options);
+  app.locals.dispatches = createExpiringSet(options);
+
+  /**
+   * @param {DeferredDispatch} older
+   * @param {DeferredDispatch} newer
+   * @returns {DeferredDispatch}
+   */
+  const merge = (older, newer) => ({
+    ...newer,
+    payload: mergePushPayloads(older.payload, newer.payload),
+    deliveries: [...older.deliveries, ...newer.deliveries],
+  });
+
+  /**
+   * Sends a deferred dispatch and updates its record in the deliveries
+   * merged in it.
+   * @param {DeferredDispatch} deferred
+   */
+  const send = async ({ target, eventType, payload, deliveries }) => {
+    const entry = await sendRepositoryDispatchEvent(
+      target.owner,
+      target.repo,
+      eventType,
+      payload,
+    );
+    const dispatch = toDispatchRecord(target, eventType, entry);
+
+    for (const { delivery, record, key } of deliveries) {
+      Object.assign(record, dispatch);
+
+      // The next delivery of the same push has to try again
+      if (!entry) {
+        app.locals.dispatches.remove(key);
+      }
+
+      try {
+        getAuditLog().update(delivery);
+      } catch (e) {
+        logger.error(`Could not record the delivery`, { error: e });
+      }
+    }
+  };
+
+  if (parseInt(DISPATCH_DEBOUNCE) > 0) {
+    app.locals.coalescer = createCoalescer({
+      wait: parseInt(DISPATCH_DEBOUNCE) * 1000,
+      maxWait: parseInt(DISPATCH_MAX_WAIT) * 1000,
+      merge,
+      send,
+    });
+  }
+
+  if (parseInt(NIGHTLY_MIN_INTERVAL) > 0) {
+    app.locals.throttle = createThrottle({
+      interval: parseInt(NIGHTLY_MIN_INTERVAL) * 1000,
+      merge,
+      send,
+    });
+  }
+
+  app.post(
+    '/webhook',
+    rawBody,
+    logContext,
+    verifyIntegrity,
+    parseBody,
+    eventHandler,
+  );
+};
+
+/**
+ * Sends right away the dispatches held in memory by the coalescer and
+ * the throttle of the `app`, e.g. before the process exits. They are
+ * written to the journal of the dispatch queue before being sent, so
+ * the ones that can not be sent yet are resumed after a restart.
+ * @param {import('express').Application} app
+ */
+const flushDispatches = async (app) => {
+  const { coalescer, throttle } = app.locals;
+
+  await Promise.all(
+    [coalescer, throttle].map((deferrer) => deferrer && deferrer.flush()),
+  );
 };
 
 module.exports = {
   addWebhooks,
+  flushDispatches,
 };
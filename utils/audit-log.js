@@ -0,0 +1,265 @@
+//@ts-check
+
+const { appendJsonLine, readJsonLines, writeJsonLines } = require('./jsonl');
+
+/**
+ * @typedef {object} DispatchRecord
+ * @property {string} owner
+ * @property {string} repo
+ * @property {string} eventType
+ * @property {'delivered' | 'pending' | 'dead' | 'deferred' | 'failed' | 'dry-run'} status
+ * `deferred` dispatches are waiting to be merged with the next pushes
+ * (their status and ID are updated once sent), `failed` ones could not be
+ * queued and `dry-run` ones were only recorded
+ * @property {string} [id] ID of the dispatch in the dispatch queue
+ */
+
+/**
+ * @typedef {object} Delivery
+ * @property {string | null} id The `X-GitHub-Delivery` header
+ * @property {string} receivedAt
+ * @property {string} event
+ * @property {string} [action]
+ * @property {string | null} ref
+ * @property {string | null} branch
+ * @property {string | null} sha
+ * @property {'dispatched' | 'skipped' | 'duplicate' | 'ignored'} decision
+ * @property {string} [reason] Why the delivery was not evaluated against the rules
+ * @property {import('./decisions').Decision[]} rules The decision taken for each rule
+ * @property {DispatchRecord[]} dispatches
+ */
+
+/**
+ * @typedef {'delivered' | 'pending' | 'deferred' | 'failed' | 'skipped' | 'dry-run'} DeliveryStatus
+ */
+
+/**
+ * @typedef {object} DeliveryFilters
+ * @property {string} [branch]
+ * @property {DeliveryStatus} [status]
+ * @property {Date} [since]
+ * @property {Date} [until]
+ * @property {number} [limit]
+ */
+
+const DELIVERY_STATUSES = [
+  'delivered',
+  'pending',
+  'deferred',
+  'failed',
+  'skipped',
+  'dry-run',
+];
+
+/**
+ * Returns the overall status of the dispatches of a delivery, the
+ * worst one wins.
+ * @param {DispatchRecord[]} dispatches
+ * @returns {DeliveryStatus}
+ */
+const getDeliveryStatus = (dispatches) => {
+  if (dispatches.length === 0) {
+    return 'skipped';
+  }
+
+  const statuses = dispatches.map(({ status }) => status);
+
+  if (statuses.includes('dead') || statuses.includes('failed')) {
+    return 'failed';
+  }
+
+  if (statuses.includes('pending')) {
+    return 'pending';
+  }
+
+  if (statuses.includes('deferred')) {
+    return 'deferred';
+  }
+
+  if (statuses.every((status) => status === 'dry-run')) {
+    return 'dry-run';
+  }
+
+  return 'delivered';
+};
+
+/**
+ * Returns the key identifying a delivery in the log. Redeliveries have
+ * the same ID, so the time it was received is part of it.
+ * @param {Delivery} delivery
+ */
+const getKey = ({ id, receivedAt }) => `${id}@${receivedAt}`;
+
+/**
+ * Creates an append-only log of the received deliveries persisted in
+ * `file` (one JSON entry per line, the last one for a delivery wins).
+ * Entries older than `retention` milliseconds are dropped when the log
+ * is loaded.
+ * @param {object} options
+ * @param {string} options.file
+ * @param {number} options.retention
+ */
+const createAuditLog = ({ file, retention }) => {
+  /**
+   * Sorted by `receivedAt`, which `query` and the pruning rely on.
+   * @type {Delivery[]}
+   */
+  const deliveries = [];
+
+  /**
+   * Inserts the `delivery` at its place in `deliveries`. Responses do not
+   * finish in the order the deliveries were received, but almost, so the
+   * place is looked for from the end.
+   * @param {Delivery} delivery
+   */
+  const insert = (delivery) => {
+    const receivedAt = Date.parse(delivery.receivedAt);
+    let index = deliveries.length;
+
+    while (
+      index > 0 &&
+      Date.parse(deliveries[index - 1].receivedAt) > receivedAt
+    ) {
+      index--;
+    }
+
+    deliveries.splice(index, 0, delivery);
+  };
+
+  /**
+   * Reads the log and compacts it to the entries within the retention.
+   */
+  const load = () => {
+    /** @type {Delivery[] | null} */
+    const lines = readJsonLines(file);
+
+    if (!lines) {
+      return;
+    }
+
+    const cutoff = Date.now() - retention;
+    /** @type {Map<string, number>} */
+    const indexes = new Map();
+
+    for (const delivery of lines) {
+      const key = getKey(delivery);
+
+      if (Date.parse(delivery.receivedAt) <= cutoff) {
+        continue;
+      }
+
+      // An update keeps the position of the delivery it replaces
+      if (indexes.has(key)) {
+        deliveries[indexes.get(key)] = delivery;
+      } else {
+        indexes.set(key, deliveries.length);
+        deliveries.push(delivery);
+      }
+    }
+
+    deliveries.sort(
+      (a, b) => Date.parse(a.receivedAt) - Date.parse(b.receivedAt),
+    );
+
+    writeJsonLines(file, deliveries);
+  };
+
+  /**
+   * Appends the `delivery` to the log.
+   * @param {Delivery} delivery
+   */
+  const record = (delivery) => {
+    appendJsonLine(file, delivery);
+
+    insert(delivery);
+
+    const cutoff = Date.now() - retention;
+    while (
+      deliveries.length > 0 &&
+      Date.parse(deliveries[0].receivedAt) <= cutoff
+    ) {
+      deliveries.shift();
+    }
+  };
+
+  /**
+   * Appends the `delivery` again once it has changed, e.g. when one of
+   * its deferred dispatches is sent. Deliveries that are not in the log
+   * (not recorded yet or past the retention) are left out.
+   * @param {Delivery} delivery
+   */
+  const update = (delivery) => {
+    if (!deliveries.includes(delivery)) {
+      return;
+    }
+
+    appendJsonLine(file, delivery);
+  };
+
+  /**
+   * Returns the deliveries matching the `filters`, newest first. The
+   * status of the dispatches still in the dispatch queue is looked up
+   * with `getDispatchStatus`, which should return `undefined` once a
+   * dispatch has been delivered.
+   * @param {DeliveryFilters} filters
+   * @param {(id: string) => string | undefined} getDispatchStatus
+   */
+  const query = (
+    { branch, status, since, until, limit = 100 },
+    getDispatchStatus,
+  ) => {
+    const results = [];
+
+    for (let i = deliveries.length - 1; i >= 0; i--) {
+      const delivery = deliveries[i];
+      const receivedAt = Date.parse(delivery.receivedAt);
+
+      if (since && receivedAt < since.getTime()) {
+        break;
+      }
+
+      if (
+        (until && receivedAt > until.getTime()) ||
+        (branch && delivery.branch !== branch)
+      ) {
+        continue;
+      }
+
+      const dispatches = delivery.dispatches.map((dispatch) => {
+        if (!dispatch.id) {
+          return dispatch;
+        }
+
+        const current = getDispatchStatus(dispatch.id) || 'delivered';
+
+        return /** @type {DispatchRecord} */ ({ ...dispatch, status: current });
+      });
+      const deliveryStatus = getDeliveryStatus(dispatches);
+
+      if (status && deliveryStatus !== status) {
+        continue;
+      }
+
+      results.push({ ...delivery, status: deliveryStatus, dispatches });
+
+      if (results.length >= limit) {
+        break;
+      }
+    }
+
+    return results;
+  };
+
+  return {
+    load,
+    record,
+    update,
+    query,
+  };
+};
+
+module.exports = {
+  DELIVERY_STATUSES,
+  createAuditLog,
+  getDeliveryStatus,
+};
@@ -0,0 +1,225 @@
+//@ts-check
+
+const { setTimeout: sleep } = require('node:timers/promises');
+
+const {
+  REASONS,
+  getMajor,
+  getPushEventTypes,
+  getRebuildPayload,
+  isReleasedBranch,
+} = require('./decisions');
+const { logger } = require('./logger');
+const { getBranchHead } = require('./utils');
+
+const { BACKFILL_INTERVAL = '2', SUPPORTED_MAJORS = '3' } = process.env;
+
+/**
+ * Only release branches can be backfilled, the default branch is
+ * updated by the nightly events.
+ */
+const BRANCH_REGEX = /^\d+-x-y$/;
+
+/**
+ * @typedef {object} BackfillDecision
+ * @property {string} rule The name of the rule
+ * @property {string} branch
+ * @property {boolean} send
+ * @property {string} reason One of `REASONS`
+ * @property {string[]} eventTypes
+ */
+
+/**
+ * @typedef {import('./dispatch-queue').Dispatch & {
+ *   rule: string,
+ *   branch: string,
+ *   sha: string,
+ * }} BackfillDispatch
+ */
+
+/**
+ * Returns the branches of the supported majors, i.e. the latest
+ * stable and the `SUPPORTED_MAJORS - 1` before it.
+ * @param {import('./decisions').LatestInformation} latestInformation
+ */
+const getSupportedBranches = (latestInformation) => {
+  const latestMajor = getMajor(latestInformation.branch);
+  const oldestMajor = Math.max(latestMajor - parseInt(SUPPORTED_MAJORS) + 1, 1);
+  const branches = [];
+
+  for (let major = latestMajor; major >= oldestMajor; major--) {
+    branches.push(`${major}-x-y`);
+  }
+
+  return branches;
+};
+
+/**
+ * Decides which events of the `rule` a push to `branch` would send,
+ * regardless of what changed.
+ * @param {import('./rules').Rule} rule
+ * @param {import('./decisions').LatestInformation} latestInformation
+ * @param {string} branch
+ * @returns {BackfillDecision}
+ */
+const getBackfillDecision = (rule, latestInformation, branch) => {
+  const decision = { rule: rule.name, branch, send: false, eventTypes: [] };
+
+  if (!rule.branches.test(branch)) {
+    return { ...decision, reason: REASONS.BRANCH_NOT_MATCHED };
+  }
+
+  if (!isReleasedBranch(latestInformation, branch)) {
+    return { ...decision, reason: REASONS.UNRELEASED_MAJOR };
+  }
+
+  const { owner, repo } = rule.source;
+  const eventTypes = getPushEventTypes(rule, latestInformation, {
+    ref: `refs/heads/${branch}`,
+    // Release branches are never the default branch
+    repository: { full_name: `${owner}/${repo}`, default_branch: null },
+  });
+
+  if (eventTypes.length === 0) {
+    return { ...decision, reason: REASONS.NO_EVENT_FOR_BRANCH };
+  }
+
+  return { ...decision, send: true, reason: REASONS.DISPATCHED, eventTypes };
+};
+
+/**
+ * Returns why the backfill of `branches` can't be done, if it can't:
+ * only release branches (`NN-x-y`) are accepted and `sha` or `before`
+ * only make sense for one branch.
+ * @param {object} options
+ * @param {string[]} options.branches
+ * @param {string} [options.sha]
+ * @param {string} [options.before]
+ */
+const validateBackfill = ({ branches, sha, before }) => {
+  const invalid = branches.filter((branch) => !BRANCH_REGEX.test(branch));
+
+  if (invalid.length > 0) {
+    return `Not release branches: ${invalid.join(', ')}`;
+  }
+
+  if ((sha || before) && branches.length !== 1) {
+    return `"sha" and "before" can only be given for one branch`;
+  }
+
+  return undefined;
+};
+
+/**
+ * Works out the events a push to the head of each of the `branches`
+ * would send with the `rules`, e.g. `doc_changes` is only sent for
+ * the latest stable. The heads are looked up unless `sha` is given.
+ * Throws if the backfill is not valid, see `validateBackfill`.
+ * @param {object} options
+ * @param {import('./rules').Rule[]} options.rules
+ * @param {import('./decisions').LatestInformation} options.latestInformation
+ * @param {string[]} options.branches
+ * @param {string} [options.sha] Head to use, only with one branch
+ * @param {string} [options.before] Sent as `before` in the payload,
+ * only with one branch. The whole branch is rebuilt either way.
+ */
+const planBackfill = async ({
+  rules,
+  latestInformation,
+  branches,
+  sha,
+  before,
+}) => {
+  const error = validateBackfill({ branches, sha, before });
+
+  if (error) {
+    throw new Error(error);
+  }
+
+  /** @type {BackfillDecision[]} */
+  const decisions = [];
+  /** @type {BackfillDispatch[]} */
+  const dispatches = [];
+  const heads = new Map();
+
+  for (const branch of branches) {
+    for (const rule of rules) {
+      const decision = getBackfillDecision(rule, latestInformation, branch);
+      decisions.push(decision);
+
+      if (!decision.send) {
+        continue;
+      }
+
+      const { owner, repo } = rule.source;
+      const key = `${owner}/${repo}#${branch}`;
+
+      if (!heads.has(key)) {
+        heads.set(key, sha || (await getBranchHead(owner, repo, branch)));
+      }
+
+      const payload = getRebuildPayload(rule.source, {
+        branch,
+        sha: heads.get(key),
+        defaultBranch: null,
+        before,
+      });
+
+      for (const target of rule.targets) {
+        for (const eventType of decision.eventTypes) {
+          dispatches.push({
+            rule: rule.name,
+            branch,
+            sha: payload.sha,
+            owner: target.owner,
+            repo: target.repo,
+            eventType,
+            payload,
+          });
+        }
+      }
+    }
+  }
+
+  return { decisions, dispatches };
+};
+
+/**
+ * Sends the planned `dispatches` one after the other, waiting
+ * `interval` seconds (default `BACKFILL_INTERVAL`) between two of them
+ * not to flood the targets. Resolves with the dispatches and the status
+ * returned by `send`.
+ * @param {BackfillDispatch[]} dispatches
+ * @param {object} options
+ * @param {number} [options.interval]
+ * @param {(dispatch: BackfillDispatch) => Promise<string>} options.send
+ */
+const runBackfill = async (
+  dispatches,
+  { interval = parseFloat(BACKFILL_INTERVAL), send },
+) => {
+  const results = [];
+
+  for (const [index, dispatch] of dispatches.entries()) {
+    if (index > 0 && interval > 0) {
+      await sleep(interval * 1000);
+    }
+
+    logger.info(`Backfilling ${dispatch.branch}`, {
+      target: `${dispatch.owner}/${dispatch.repo}`,
+      eventType: dispatch.eventType,
+      sha: dispatch.sha,
+    });
+
+    results.push({ ...dispatch, status: await send(dispatch) });
+  }
+
+  return results;
+};
+
+module.exports = {
+  getSupportedBranches,
+  planBackfill,
+  runBackfill,
+  validateBackfill,
+};
@@ -0,0 +1,109 @@
+//@ts-check
+
+const { logger } = require('./logger');
+
+/**
+ * Creates an in-process cache for the value returned by `fetcher`.
+ * The value is fetched again once it is older than `ttl` milliseconds
+ * or when `refresh` is requested. If fetching fails and there is a
+ * previous value, the previous value is returned instead of the error.
+ * Concurrent calls share the same in-flight fetch, but a `refresh`
+ * asked for during a fetch waits for it and fetches again, since that
+ * fetch may have started before the value changed.
+ * @template T
+ * @param {() => Promise<T>} fetcher
+ * @param {{ ttl: number, name?: string }} options
+ */
+const createCache = (fetcher, { ttl, name = 'value' }) => {
+  /** @type {{ value: T, fetchedAt: number } | undefined} */
+  let cached;
+  /** @type {Promise<T> | undefined} */
+  let pending;
+  /** @type {Promise<T> | undefined} */
+  let queued;
+
+  const fetchValue = async () => {
+    try {
+      const value = await fetcher();
+      cached = { value, fetchedAt: Date.now() };
+
+      return value;
+    } catch (e) {
+      if (!cached) {
+        throw e;
+      }
+
+      logger.warn(`Could not refresh ${name}, using last known value`, {
+        error: e,
+      });
+
+      return cached.value;
+    } finally {
+      pending = undefined;
+    }
+  };
+
+  /**
+   * Returns the in-flight fetch, starting one if there is none.
+   */
+  const start = () => {
+    if (!pending) {
+      pending = fetchValue();
+    }
+
+    return pending;
+  };
+
+  /**
+   * Returns the cached value, fetching it if needed.
+   * @param {{ refresh?: boolean }} [options]
+   * @returns {Promise<T>}
+   */
+  const get = ({ refresh = false } = {}) => {
+    if (!refresh && cached && Date.now() - cached.fetchedAt < ttl) {
+      return Promise.resolve(cached.value);
+    }
+
+    if (refresh && pending) {
+      // Refreshes asked for during the same fetch share the next one
+      if (!queued) {
+        queued = pending
+          .catch(() => undefined)
+          .then(() => {
+            queued = undefined;
+
+            return start();
+          });
+      }
+
+      return queued;
+    }
+
+    return start();
+  };
+
+  /**
+   * Returns when the value was last fetched successfully, in
+   * milliseconds, or `undefined` if it never was.
+   */
+  const getFetchedAt = () => {
+    return cached && cached.fetchedAt;
+  };
+
+  /**
+   * Drops the cached value.
+   */
+  const clear = () => {
+    cached = undefined;
+  };
+
+  return {
+    get,
+    getFetchedAt,
+    clear,
+  };
+};
+
+module.exports = {
+  createCache,
+};
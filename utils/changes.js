@@ -0,0 +1,179 @@
+//@ts-check
+
+/**
+ * @typedef {object} ChangedFiles
+ * @property {string[]} added
+ * @property {string[]} modified
+ * @property {string[]} removed
+ * @property {{ from: string, to: string }[]} renamed
+ */
+
+/**
+ * Maximum size in bytes of the serialized file lists sent in a
+ * `client_payload`. Bigger lists are dropped and `filesTruncated`
+ * is set instead so the receiver knows it has to do a full build.
+ */
+const MAX_FILES_PAYLOAD_SIZE = 32 * 1024;
+
+/**
+ * Merges the files added, modified and removed in `commits` (in the
+ * order they were pushed) into a single list per status. E.g. a file
+ * added and later modified is reported as added, and a file added and
+ * later removed is not reported at all. Only the files that match
+ * `isInPath` are returned.
+ * @param {Pick<import('@octokit/webhooks-types').Commit, 'added' | 'modified' | 'removed'>[]} commits
+ * @param {(file: string) => boolean} isInPath
+ * @returns {ChangedFiles}
+ */
+const getChangedFiles = (commits, isInPath) => {
+  /** @type {Map<string, 'added' | 'modified' | 'removed'>} */
+  const statuses = new Map();
+
+  for (const commit of commits) {
+    for (const file of commit.added) {
+      statuses.set(
+        file,
+        statuses.get(file) === 'removed' ? 'modified' : 'added',
+      );
+    }
+
+    for (const file of commit.modified) {
+      if (statuses.get(file) !== 'added') {
+        statuses.set(file, 'modified');
+      }
+    }
+
+    for (const file of commit.removed) {
+      if (statuses.get(file) === 'added') {
+        statuses.delete(file);
+      } else {
+        statuses.set(file, 'removed');
+      }
+    }
+  }
+
+  /** @type {ChangedFiles} */
+  const changedFiles = { added: [], modified: [], removed: [], renamed: [] };
+
+  for (const [file, status] of statuses) {
+    if (isInPath(file)) {
+      changedFiles[status].push(file);
+    }
+  }
+
+  changedFiles.added.sort();
+  changedFiles.modified.sort();
+  changedFiles.removed.sort();
+
+  return changedFiles;
+};
+
+/**
+ * Transforms the files returned by the compare API into a list per
+ * status. Only the files that match `isInPath` are returned. A file
+ * renamed into or out of the path is reported as added or removed.
+ * @param {import('./utils').ComparedFile[]} files
+ * @param {(file: string) => boolean} isInPath
+ * @returns {ChangedFiles}
+ */
+const getComparedFiles = (files, isInPath) => {
+  /** @type {ChangedFiles} */
+  const changedFiles = { added: [], modified: [], removed: [], renamed: [] };
+
+  for (const { filename, status, previousFilename } of files) {
+    switch (status) {
+      case 'added':
+      case 'copied':
+        if (isInPath(filename)) {
+          changedFiles.added.push(filename);
+        }
+        break;
+      case 'modified':
+      case 'changed':
+        if (isInPath(filename)) {
+          changedFiles.modified.push(filename);
+        }
+        break;
+      case 'removed':
+        if (isInPath(filename)) {
+          changedFiles.removed.push(filename);
+        }
+        break;
+      case 'renamed':
+        if (isInPath(previousFilename) && isInPath(filename)) {
+          changedFiles.renamed.push({ from: previousFilename, to: filename });
+        } else if (isInPath(previousFilename)) {
+          changedFiles.removed.push(previousFilename);
+        } else if (isInPath(filename)) {
+          changedFiles.added.push(filename);
+        }
+        break;
+    }
+  }
+
+  changedFiles.added.sort();
+  changedFiles.modified.sort();
+  changedFiles.removed.sort();
+  changedFiles.renamed.sort((a, b) => a.to.localeCompare(b.to));
+
+  return changedFiles;
+};
+
+/**
+ * Merges the files changed in two consecutive pushes as if they were
+ * a single one (e.g. a file added in `older` and modified in `newer`
+ * is reported as added).
+ * @param {ChangedFiles} older
+ * @param {ChangedFiles} newer
+ * @returns {ChangedFiles}
+ */
+const mergeChangedFiles = (older, newer) => {
+  const merged = getChangedFiles([older, newer], () => true);
+  const renamed = [...older.renamed, ...newer.renamed].filter(
+    (rename, index, renames) =>
+      renames.findIndex(
+        ({ from, to }) => from === rename.from && to === rename.to,
+      ) === index,
+  );
+
+  return { ...merged, renamed };
+};
+
+/**
+ * Returns `true` if there are no changed files.
+ * @param {ChangedFiles} changedFiles
+ */
+const isEmpty = (changedFiles) => {
+  return (
+    changedFiles.added.length === 0 &&
+    changedFiles.modified.length === 0 &&
+    changedFiles.removed.length === 0 &&
+    changedFiles.renamed.length === 0
+  );
+};
+
+/**
+ * Returns the `files` and `filesTruncated` values of a `client_payload`.
+ * If the lists are bigger than `MAX_FILES_PAYLOAD_SIZE` or they are
+ * known to be incomplete, `files` is `null` and `filesTruncated` is `true`.
+ * @param {ChangedFiles} changedFiles
+ * @param {boolean} [complete]
+ */
+const toFilesPayload = (changedFiles, complete = true) => {
+  const size = Buffer.byteLength(JSON.stringify(changedFiles));
+
+  if (!complete || size > MAX_FILES_PAYLOAD_SIZE) {
+    return { files: null, filesTruncated: true };
+  }
+
+  return { files: changedFiles, filesTruncated: false };
+};
+
+module.exports = {
+  MAX_FILES_PAYLOAD_SIZE,
+  getChangedFiles,
+  getComparedFiles,
+  isEmpty,
+  mergeChangedFiles,
+  toFilesPayload,
+};
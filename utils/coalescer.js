@@ -0,0 +1,99 @@
+//@ts-check
+
+const { logger } = require('./logger');
+
+/**
+ * Creates a coalescer that groups the values added with the same key
+ * during `wait` milliseconds and sends a single merged value. Every new
+ * value restarts the wait, but a value is never held for more than
+ * `maxWait` milliseconds since the first one of its group.
+ * @template T
+ * @param {object} options
+ * @param {number} options.wait
+ * @param {number} options.maxWait
+ * @param {(older: T, newer: T) => T} options.merge
+ * @param {(value: T) => Promise<void>} options.send
+ */
+const createCoalescer = ({ wait, maxWait, merge, send }) => {
+  /** @type {Map<string, { value: T, firstAddedAt: number, timer: NodeJS.Timeout }>} */
+  const pending = new Map();
+
+  /**
+   * Sends the value of `key` right away.
+   * @param {string} key
+   */
+  const flushKey = async (key) => {
+    const group = pending.get(key);
+
+    if (!group) {
+      return;
+    }
+
+    clearTimeout(group.timer);
+    pending.delete(key);
+
+    try {
+      await send(group.value);
+    } catch (e) {
+      logger.error(`Error sending the coalesced value for ${key}`, {
+        error: e,
+      });
+    }
+  };
+
+  /**
+   * @param {string} key
+   * @param {number} firstAddedAt
+   */
+  const schedule = (key, firstAddedAt) => {
+    const delay = Math.max(
+      0,
+      Math.min(wait, firstAddedAt + maxWait - Date.now()),
+    );
+
+    const timer = setTimeout(() => flushKey(key), delay);
+    // A pending group should not keep the process alive
+    timer.unref();
+
+    return timer;
+  };
+
+  /**
+   * Adds a value to the group of `key`, merging it with the pending one.
+   * @param {string} key
+   * @param {T} value
+   */
+  const add = (key, value) => {
+    const group = pending.get(key);
+
+    if (!group) {
+      const firstAddedAt = Date.now();
+      pending.set(key, {
+        value,
+        firstAddedAt,
+        timer: schedule(key, firstAddedAt),
+      });
+      return;
+    }
+
+    clearTimeout(group.timer);
+    group.value = merge(group.value, value);
+    group.timer = schedule(key, group.firstAddedAt);
+  };
+
+  /**
+   * Sends all the pending values right away.
+   */
+  const flush = async () => {
+    await Promise.all([...pending.keys()].map(flushKey));
+  };
+
+  return {
+    add,
+    flush,
+  };
+};
+
+module.exports = {
+  createCoalescer,
+};
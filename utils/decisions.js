@@ -0,0 +1,569 @@
+//@ts-check
+
+const semver = require('semver');
+
+const {
+  getChangedFiles,
+  getComparedFiles,
+  isEmpty,
+  mergeChangedFiles,
+  toFilesPayload,
+} = require('./changes');
+
+/**
+ * GitHub only includes this many commits in a `push` payload.
+ */
+const MAX_PUSH_COMMITS = 20;
+
+/**
+ * Returns the major part of a branch format (`xx-y-z`)
+ * @param {string} version
+ */
+const getMajor = (version) => {
+  const majorRegex = /(?:refs\/heads\/)?(\d+)-x-y/;
+  const [, major] = majorRegex.exec(version);
+
+  return parseInt(major);
+};
+
+/**
+ * Compares 2 refs or branches and returns a boolean indicating
+ * if `current` is from a previous release than `latest`.
+ * @param {string} latest
+ * @param {string} current
+ */
+const isLatest = (latest, current) => {
+  try {
+    const latestMajor = getMajor(latest);
+    const currentMajor = getMajor(current);
+
+    if (currentMajor < latestMajor) {
+      return false;
+    } else {
+      return true;
+    }
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Returns `true` if the event comes from the `source` of the `rule`.
+ * @param {import('./rules').Rule} rule
+ * @param {{ repository: { full_name: string } }} payload
+ */
+const isFromSource = (rule, payload) => {
+  const { owner, repo } = rule.source;
+
+  return payload.repository.full_name === `${owner}/${repo}`;
+};
+
+/**
+ * Returns `true` if the push comes from the `source` and one of
+ * the `branches` of the `rule`.
+ * @param {import('./rules').Rule} rule
+ * @param {import('@octokit/webhooks-types').PushEvent} payload
+ */
+const isPushForRule = (rule, payload) => {
+  const branchCommit = payload.ref.replace('refs/heads/', '');
+
+  return (
+    isFromSource(rule, payload) &&
+    payload.ref.startsWith('refs/heads/') &&
+    rule.branches.test(branchCommit)
+  );
+};
+
+/**
+ * Returns `true` if `branch` is for a major newer than the one
+ * of the latest stable (`stableBranch`).
+ * @param {string} stableBranch
+ * @param {string} branch
+ */
+const isFutureMajor = (stableBranch, branch) => {
+  return /^\d+-x-y/.test(branch) && getMajor(branch) > getMajor(stableBranch);
+};
+
+/**
+ * @typedef {object} LatestInformation
+ * @property {string} version The latest stable version
+ * @property {string} branch The branch of the latest stable (`xx-y-z`)
+ * @property {string[]} prereleaseBranches The branches of the newer
+ * majors that have an alpha or beta release
+ */
+
+/**
+ * Returns the `LatestInformation` for the given stable and prerelease
+ * versions, sorted in ascending order. Throws if there is no stable.
+ * @param {{ stables: string[], prereleases: string[] }} releases
+ * @returns {LatestInformation}
+ */
+const toLatestInformation = ({ stables, prereleases }) => {
+  if (stables.length === 0) {
+    throw new Error(`There is no stable release to get the latest one from`);
+  }
+
+  const latestVersion = stables[stables.length - 1];
+  const branch = latestVersion.replace(/\.\d+\.\d+$/, '-x-y');
+  const latestMajor = semver.major(latestVersion);
+
+  // Majors newer than the stable one that already have an alpha or beta
+  const prereleaseBranches = prereleases
+    .filter((version) => /-(alpha|beta)\./.test(version))
+    .map((version) => semver.major(version))
+    .filter((prereleaseMajor) => prereleaseMajor > latestMajor)
+    .map((prereleaseMajor) => `${prereleaseMajor}-x-y`);
+
+  return {
+    version: latestVersion,
+    branch,
+    prereleaseBranches: [...new Set(prereleaseBranches)],
+  };
+};
+
+/**
+ * Returns `false` if `branch` is for a major newer than the latest
+ * stable that does not have an alpha or beta release yet.
+ * @param {LatestInformation} latestInformation
+ * @param {string} branch
+ */
+const isReleasedBranch = (latestInformation, branch) => {
+  return (
+    !isFutureMajor(latestInformation.branch, branch) ||
+    latestInformation.prereleaseBranches.includes(branch)
+  );
+};
+
+/**
+ * Returns the event types of the `rule` to send for a push to one
+ * of its branches.
+ * @param {import('./rules').Rule} rule
+ * @param {LatestInformation} latestInformation
+ * @param {import('@octokit/webhooks-types').PushEvent} payload
+ */
+const getPushEventTypes = (rule, latestInformation, payload) => {
+  const branchCommit = payload.ref.replace('refs/heads/', '');
+  const { branch: stableBranch } = latestInformation;
+
+  // The default branch (`main`) only updates the nightly docs
+  if (branchCommit === payload.repository.default_branch) {
+    return rule.events.nightly ? [rule.events.nightly] : [];
+  }
+
+  // Branches ahead of the latest stable only update the "next" docs
+  if (isFutureMajor(stableBranch, branchCommit)) {
+    return rule.events.prerelease ? [rule.events.prerelease] : [];
+  }
+
+  const eventTypes = [];
+
+  // Send an event that will update the docs in `vXX-Y-Z`
+  if (rule.events.branch) {
+    eventTypes.push(rule.events.branch);
+  }
+
+  // Send an event that will update the docs in `main` if changes are for latest
+  if (rule.events.latest && isLatest(stableBranch, payload.ref)) {
+    eventTypes.push(rule.events.latest);
+  }
+
+  return eventTypes;
+};
+
+/**
+ * Returns the `client_payload` sent for a push. It includes the files
+ * changed in the paths of the rule so the receiver can do incremental
+ * builds.
+ * @param {import('@octokit/webhooks-types').PushEvent} payload
+ * @param {import('./changes').ChangedFiles} changedFiles
+ * @param {boolean} complete `false` if `changedFiles` may be missing files
+ */
+const getPushPayload = (payload, changedFiles, complete) => {
+  const branch = payload.ref.replace('refs/heads/', '');
+
+  return {
+    sha: payload.after,
+    branch,
+    defaultBranch: branch === payload.repository.default_branch,
+    before: payload.before,
+    after: payload.after,
+    ...toFilesPayload(changedFiles, complete),
+  };
+};
+
+/**
+ * Returns the `client_payload` of a push to `branch` of the `source`
+ * made up to resend its events, e.g. by a backfill. We do not know what
+ * changed, so the receiver has to rebuild everything.
+ * @param {{ owner: string, repo: string }} source
+ * @param {object} push
+ * @param {string} push.branch
+ * @param {string} push.sha
+ * @param {string | null} push.defaultBranch The default branch of the source
+ * @param {string | null} [push.before] Sent as is in `before`
+ */
+const getRebuildPayload = (
+  { owner, repo },
+  { branch, sha, defaultBranch, before = null },
+) => {
+  const push = {
+    ref: `refs/heads/${branch}`,
+    before,
+    after: sha,
+    repository: {
+      full_name: `${owner}/${repo}`,
+      default_branch: defaultBranch,
+    },
+  };
+
+  return getPushPayload(
+    push,
+    { added: [], modified: [], removed: [], renamed: [] },
+    false,
+  );
+};
+
+/**
+ * Merges the `client_payload`s of two consecutive pushes to the same
+ * branch into the one of a push from `older.before` to `newer.after`.
+ * @param {ReturnType<typeof getPushPayload>} older
+ * @param {ReturnType<typeof getPushPayload>} newer
+ */
+const mergePushPayloads = (older, newer) => {
+  if (older.filesTruncated || newer.filesTruncated) {
+    return {
+      ...newer,
+      before: older.before,
+      files: null,
+      filesTruncated: true,
+    };
+  }
+
+  return {
+    ...newer,
+    before: older.before,
+    ...toFilesPayload(mergeChangedFiles(older.files, newer.files)),
+  };
+};
+
+/**
+ * Transforms a `release` event into the `client_payload` sent to
+ * the target repo. Returns `null` if the release tag is not a valid
+ * version (e.g. `nightly-tag`).
+ * @param {import('@octokit/webhooks-types').Release} release
+ */
+const getReleasePayload = (release) => {
+  const version = semver.parse(release.tag_name);
+
+  if (!version) {
+    return null;
+  }
+
+  return {
+    version: version.version,
+    tag: release.tag_name,
+    prerelease: release.prerelease,
+    branch: `${version.major}-x-y`,
+    url: release.html_url,
+  };
+};
+
+/**
+ * Reason codes of the decisions taken for each rule.
+ */
+const REASONS = {
+  /** The event is sent */
+  DISPATCHED: 'dispatched',
+  /** The event comes from another repository than the source of the rule */
+  WRONG_SOURCE: 'wrong-source',
+  /** The push is for a tag */
+  NOT_A_BRANCH: 'not-a-branch',
+  /** The branch does not match the `branches` of the rule */
+  BRANCH_NOT_MATCHED: 'branch-not-matched',
+  /** No file changed in the `paths` of the rule */
+  NO_DOCS_CHANGES: 'no-docs-changes',
+  /** The branch is for a future major without an alpha or beta */
+  UNRELEASED_MAJOR: 'unreleased-major',
+  /** The rule has no event for this kind of branch (e.g. no `nightly`) */
+  NO_EVENT_FOR_BRANCH: 'no-event-for-branch',
+  /** The release is a draft */
+  DRAFT_RELEASE: 'draft-release',
+  /** The release tag is not a version */
+  INVALID_TAG: 'invalid-tag',
+  /** The rule has no event for the release action */
+  ACTION_NOT_HANDLED: 'action-not-handled',
+};
+
+/**
+ * @typedef {object} Decision
+ * @property {string} rule The name of the rule
+ * @property {boolean} send
+ * @property {string} reason One of `REASONS`
+ * @property {Record<string, unknown>} details
+ * @property {string[]} eventTypes The event types to send, empty if `send` is `false`
+ */
+
+/**
+ * @param {import('./rules').Rule} rule
+ * @param {string} reason
+ * @param {Record<string, unknown>} details
+ * @returns {Decision}
+ */
+const skip = (rule, reason, details) => {
+  return { rule: rule.name, send: false, reason, details, eventTypes: [] };
+};
+
+/**
+ * @param {import('./rules').Rule} rule
+ * @param {string[]} eventTypes
+ * @returns {Decision}
+ */
+const send = (rule, eventTypes) => {
+  return {
+    rule: rule.name,
+    send: true,
+    reason: REASONS.DISPATCHED,
+    details: {},
+    eventTypes,
+  };
+};
+
+/**
+ * Decides if the events of the `rule` are sent for a push, and why.
+ * @param {import('./rules').Rule} rule
+ * @param {LatestInformation} latestInformation
+ * @param {import('@octokit/webhooks-types').PushEvent} payload
+ * @param {import('./changes').ChangedFiles} changedFiles The files changed in the paths of the rule
+ * @returns {Decision}
+ */
+const getPushDecision = (rule, latestInformation, payload, changedFiles) => {
+  const branchCommit = payload.ref.replace('refs/heads/', '');
+  const { owner, repo } = rule.source;
+
+  // Event is coming from the right source and branch (e.g. `vXX-x-y`)
+  if (!isFromSource(rule, payload)) {
+    return skip(rule, REASONS.WRONG_SOURCE, {
+      repository: payload.repository.full_name,
+      source: `${owner}/${repo}`,
+    });
+  }
+
+  if (!payload.ref.startsWith('refs/heads/')) {
+    return skip(rule, REASONS.NOT_A_BRANCH, { ref: payload.ref });
+  }
+
+  if (!rule.branches.test(branchCommit)) {
+    return skip(rule, REASONS.BRANCH_NOT_MATCHED, {
+      branch: branchCommit,
+      branches: rule.branches.source,
+    });
+  }
+
+  // Docs have been modified in the commit
+  if (isEmpty(changedFiles)) {
+    return skip(rule, REASONS.NO_DOCS_CHANGES, { paths: rule.paths });
+  }
+
+  // We do not want to process commits from future stables until they have an alpha or beta
+  if (!isReleasedBranch(latestInformation, branchCommit)) {
+    return skip(rule, REASONS.UNRELEASED_MAJOR, {
+      branch: branchCommit,
+      latest: latestInformation.branch,
+    });
+  }
+
+  const eventTypes = getPushEventTypes(rule, latestInformation, payload);
+
+  if (eventTypes.length === 0) {
+    return skip(rule, REASONS.NO_EVENT_FOR_BRANCH, { branch: branchCommit });
+  }
+
+  return send(rule, eventTypes);
+};
+
+/**
+ * Decides if the event of the `rule` is sent for a release, and why.
+ * @param {import('./rules').Rule} rule
+ * @param {import('@octokit/webhooks-types').ReleaseEvent} payload
+ * @returns {Decision}
+ */
+const getReleaseDecision = (rule, payload) => {
+  const { owner, repo } = rule.source;
+
+  if (!isFromSource(rule, payload)) {
+    return skip(rule, REASONS.WRONG_SOURCE, {
+      repository: payload.repository.full_name,
+      source: `${owner}/${repo}`,
+    });
+  }
+
+  if (payload.release.draft) {
+    return skip(rule, REASONS.DRAFT_RELEASE, {
+      tag: payload.release.tag_name,
+    });
+  }
+
+  if (!getReleasePayload(payload.release)) {
+    return skip(rule, REASONS.INVALID_TAG, { tag: payload.release.tag_name });
+  }
+
+  const eventType = rule.events.release?.[payload.action];
+
+  // It is an action we care about
+  if (!eventType) {
+    return skip(rule, REASONS.ACTION_NOT_HANDLED, { action: payload.action });
+  }
+
+  return send(rule, [eventType]);
+};
+
+/**
+ * Returns `true` if the `push` payload may not include all the commits.
+ * @param {import('@octokit/webhooks-types').PushEvent} payload
+ */
+const isTruncated = (payload) => {
+  if (payload.deleted || /^0+$/.test(payload.before)) {
+    return false;
+  }
+
+  return (
+    payload.commits.length === 0 || payload.commits.length >= MAX_PUSH_COMMITS
+  );
+};
+
+/**
+ * @typedef {Awaited<ReturnType<typeof import('./utils').compareCommits>>} Comparison
+ */
+
+/**
+ * Returns the files changed by the push that match `isInPath`. The
+ * files of the `comparison` are used if available because the payload
+ * only includes the first commits.
+ * @param {import('@octokit/webhooks-types').PushEvent} payload
+ * @param {Comparison | null} comparison
+ * @param {(file: string) => boolean} isInPath
+ */
+const getPushChangedFiles = (payload, comparison, isInPath) => {
+  if (comparison) {
+    return getComparedFiles(comparison.files, isInPath);
+  }
+
+  return getChangedFiles(payload.commits, isInPath);
+};
+
+/**
+ * @typedef {object} PlannedDispatch
+ * @property {string} rule The name of the rule
+ * @property {import('./rules').Repository} target
+ * @property {string} eventType
+ * @property {object} payload
+ */
+
+/**
+ * Runs a push through all the `rules` and returns the decision taken
+ * for each of them and the dispatches to send. Nothing is sent.
+ * @param {import('./rules').Rule[]} rules
+ * @param {LatestInformation} latestInformation
+ * @param {import('@octokit/webhooks-types').PushEvent} payload
+ * @param {Comparison | null} comparison The commits compared by GitHub if the payload is truncated
+ */
+const evaluatePush = (rules, latestInformation, payload, comparison) => {
+  /** @type {Decision[]} */
+  const decisions = [];
+  /** @type {PlannedDispatch[]} */
+  const dispatches = [];
+
+  for (const rule of rules) {
+    const changedFiles = getPushChangedFiles(
+      payload,
+      comparison,
+      rule.matchesPath,
+    );
+    const decision = getPushDecision(
+      rule,
+      latestInformation,
+      payload,
+      changedFiles,
+    );
+    decisions.push(decision);
+
+    if (!decision.send) {
+      continue;
+    }
+
+    const dispatchPayload = getPushPayload(
+      payload,
+      changedFiles,
+      comparison ? comparison.complete : true,
+    );
+
+    for (const target of rule.targets) {
+      for (const eventType of decision.eventTypes) {
+        dispatches.push({
+          rule: rule.name,
+          target,
+          eventType,
+          payload: dispatchPayload,
+        });
+      }
+    }
+  }
+
+  return { decisions, dispatches };
+};
+
+/**
+ * Runs a release through all the `rules` and returns the decision
+ * taken for each of them and the dispatches to send. Nothing is sent.
+ * @param {import('./rules').Rule[]} rules
+ * @param {import('@octokit/webhooks-types').ReleaseEvent} payload
+ */
+const evaluateRelease = (rules, payload) => {
+  /** @type {Decision[]} */
+  const decisions = [];
+  /** @type {PlannedDispatch[]} */
+  const dispatches = [];
+  const releasePayload = getReleasePayload(payload.release);
+
+  for (const rule of rules) {
+    const decision = getReleaseDecision(rule, payload);
+    decisions.push(decision);
+
+    if (!decision.send) {
+      continue;
+    }
+
+    for (const target of rule.targets) {
+      for (const eventType of decision.eventTypes) {
+        dispatches.push({
+          rule: rule.name,
+          target,
+          eventType,
+          payload: releasePayload,
+        });
+      }
+    }
+  }
+
+  return { decisions, dispatches };
+};
+
+module.exports = {
+  REASONS,
+  evaluatePush,
+  evaluateRelease,
+  getMajor,
+  getPushDecision,
+  getPushEventTypes,
+  getPushPayload,
+  getRebuildPayload,
+  getReleaseDecision,
+  getReleasePayload,
+  isFromSource,
+  isLatest,
+  isPushForRule,
+  isReleasedBranch,
+  isTruncated,
+  mergePushPayloads,
+  toLatestInformation,
+};
@@ -0,0 +1,304 @@
+//@ts-check
+
+const { randomUUID } = require('node:crypto');
+
+const { appendJsonLine, readJsonLines, writeJsonLines } = require('./jsonl');
+const { logger } = require('./logger');
+
+/**
+ * @typedef {object} Dispatch
+ * @property {string} owner The owner of the repo to send the event to
+ * @property {string} repo The repo to send the event to
+ * @property {string} eventType The type of event_dispatch to use
+ * @property {object} payload The event's payload
+ */
+
+/**
+ * @typedef {Dispatch & {
+ *   id: string,
+ *   status: 'pending' | 'delivered' | 'dead',
+ *   attempts: number,
+ *   createdAt: string,
+ *   nextAttemptAt?: string,
+ *   lastError?: string,
+ * }} QueueEntry
+ */
+
+/**
+ * Returns `true` if sending the dispatch again could succeed, i.e. the
+ * error is a network problem, a GitHub 5xx or a rate-limit response.
+ * @param {any} error
+ */
+const isRetryable = (error) => {
+  const status = error && error.status;
+
+  if (!status) {
+    return true;
+  }
+
+  if (status >= 500 || status === 429) {
+    return true;
+  }
+
+  if (status === 403) {
+    const headers = (error.response && error.response.headers) || {};
+
+    return (
+      headers['x-ratelimit-remaining'] === '0' ||
+      /rate limit/i.test(error.message || '')
+    );
+  }
+
+  return false;
+};
+
+/**
+ * Creates a queue of `repository_dispatch` events that is persisted in
+ * the journal `file` (one JSON entry per line, the last one for an `id`
+ * wins). Failed dispatches are retried with exponential backoff and
+ * jitter and are marked as dead letters after `maxAttempts`.
+ * @param {object} options
+ * @param {string} options.file Path of the journal
+ * @param {(dispatch: Dispatch) => Promise<void>} options.send Sends the dispatch, throws on error
+ * @param {number} [options.maxAttempts]
+ * @param {number} [options.baseDelay] Delay in ms before the first retry
+ * @param {number} [options.maxDelay] Maximum delay in ms between retries
+ * @param {number} [options.compactAfter] Number of lines appended to the
+ * journal before it is compacted
+ */
+const createDispatchQueue = ({
+  file,
+  send,
+  maxAttempts = 8,
+  baseDelay = 1000,
+  maxDelay = 15 * 60 * 1000,
+  compactAfter = 1000,
+}) => {
+  /** @type {Map<string, QueueEntry>} */
+  const entries = new Map();
+  /** @type {Map<string, NodeJS.Timeout>} */
+  const timers = new Map();
+  let appended = 0;
+
+  /**
+   * Rewrites the journal with only the entries that are not delivered.
+   */
+  const compact = () => {
+    writeJsonLines(file, [...entries.values()]);
+    appended = 0;
+  };
+
+  /**
+   * Writes the current state of `entry` to the journal.
+   * @param {QueueEntry} entry
+   */
+  const persist = (entry) => {
+    appendJsonLine(file, entry);
+    appended++;
+
+    // Every state change adds a line, most of them for delivered dispatches
+    if (appended >= compactAfter) {
+      compact();
+    }
+  };
+
+  /**
+   * Returns the delay before the next attempt, doubling it on each
+   * attempt and adding jitter so retries do not happen in lockstep.
+   * @param {number} attempts
+   */
+  const getDelay = (attempts) => {
+    const delay = Math.min(maxDelay, baseDelay * 2 ** (attempts - 1));
+
+    return Math.round(delay / 2 + (Math.random() * delay) / 2);
+  };
+
+  /**
+   * @param {QueueEntry} entry
+   * @param {number} delay
+   */
+  const schedule = (entry, delay) => {
+    clearTimeout(timers.get(entry.id));
+
+    const timer = setTimeout(() => {
+      timers.delete(entry.id);
+      attempt(entry);
+    }, delay);
+    // Pending retries should not keep the process alive
+    timer.unref();
+
+    timers.set(entry.id, timer);
+  };
+
+  /**
+   * Tries to send the dispatch of `entry` and updates its status.
+   * @param {QueueEntry} entry
+   * @returns {Promise<QueueEntry>}
+   */
+  const attempt = async (entry) => {
+    entry.attempts++;
+
+    try {
+      await send(entry);
+
+      entry.status = 'delivered';
+      delete entry.nextAttemptAt;
+      entries.delete(entry.id);
+      persist(entry);
+
+      return entry;
+    } catch (e) {
+      entry.lastError = e && e.message ? e.message : `${e}`;
+
+      if (!isRetryable(e) || entry.attempts >= maxAttempts) {
+        logger.error(
+          `Dispatch failed after ${entry.attempts} attempt(s), moving it to the dead letters`,
+          { dispatchId: entry.id, eventType: entry.eventType, error: e },
+        );
+        entry.status = 'dead';
+        delete entry.nextAttemptAt;
+        persist(entry);
+
+        return entry;
+      }
+
+      const delay = getDelay(entry.attempts);
+      logger.warn(`Dispatch failed, retrying in ${delay}ms`, {
+        dispatchId: entry.id,
+        eventType: entry.eventType,
+        error: e,
+      });
+      entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      persist(entry);
+      schedule(entry, delay);
+
+      return entry;
+    }
+  };
+
+  /**
+   * Reads the journal, compacts it to only the entries that are not
+   * delivered and resumes the pending ones.
+   */
+  const load = () => {
+    /** @type {QueueEntry[] | null} */
+    const journal = readJsonLines(file);
+
+    if (!journal) {
+      return;
+    }
+
+    for (const entry of journal) {
+      if (entry.status === 'delivered') {
+        entries.delete(entry.id);
+      } else {
+        entries.set(entry.id, entry);
+      }
+    }
+
+    compact();
+
+    for (const entry of entries.values()) {
+      if (entry.status === 'pending') {
+        const delay = entry.nextAttemptAt
+          ? Math.max(0, Date.parse(entry.nextAttemptAt) - Date.now())
+          : 0;
+        schedule(entry, delay);
+      }
+    }
+  };
+
+  /**
+   * Adds a new dispatch to the queue and tries to send it right away.
+   * The returned promise resolves once the first attempt is done.
+   * @param {Dispatch} dispatch
+   */
+  const enqueue = (dispatch) => {
+    /** @type {QueueEntry} */
+    const entry = {
+      id: randomUUID(),
+      owner: dispatch.owner,
+      repo: dispatch.repo,
+      eventType: dispatch.eventType,
+      payload: dispatch.payload,
+      status: 'pending',
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+    };
+
+    entries.set(entry.id, entry);
+    persist(entry);
+
+    return attempt(entry);
+  };
+
+  /**
+   * Returns the dispatches that are waiting for a retry.
+   */
+  const listPending = () => {
+    return [...entries.values()].filter((entry) => entry.status === 'pending');
+  };
+
+  /**
+   * Returns the status of the dispatch with the given `id`, or
+   * `undefined` if it has been delivered (or never existed).
+   * @param {string} id
+   */
+  const getStatus = (id) => {
+    const entry = entries.get(id);
+
+    return entry && entry.status;
+  };
+
+  /**
+   * Returns the dispatches that failed too many times.
+   */
+  const listDeadLetters = () => {
+    return [...entries.values()].filter((entry) => entry.status === 'dead');
+  };
+
+  /**
+   * Puts back a dead letter in the queue and tries to send it right away.
+   * Returns `undefined` if there is no dead letter with the given `id`.
+   * @param {string} id
+   */
+  const requeue = (id) => {
+    const entry = entries.get(id);
+
+    if (!entry || entry.status !== 'dead') {
+      return undefined;
+    }
+
+    entry.status = 'pending';
+    entry.attempts = 0;
+    delete entry.lastError;
+    persist(entry);
+
+    return attempt(entry);
+  };
+
+  /**
+   * Cancels all the scheduled retries.
+   */
+  const close = () => {
+    for (const timer of timers.values()) {
+      clearTimeout(timer);
+    }
+    timers.clear();
+  };
+
+  return {
+    load,
+    enqueue,
+    listPending,
+    getStatus,
+    listDeadLetters,
+    requeue,
+    close,
+  };
+};
+
+module.exports = {
+  createDispatchQueue,
+  isRetryable,
+};
@@ -0,0 +1,68 @@
+//@ts-check
+
+/**
+ * Creates a set of keys that are forgotten after `ttl` milliseconds.
+ * The set never holds more than `maxSize` keys, the oldest ones are
+ * dropped first.
+ * @param {{ ttl: number, maxSize: number }} options
+ */
+const createExpiringSet = ({ ttl, maxSize }) => {
+  /** @type {Map<string, number>} */
+  const expirations = new Map();
+
+  /**
+   * Removes the expired keys. Keys are kept in insertion order so
+   * we can stop at the first one that is still valid.
+   */
+  const prune = () => {
+    const now = Date.now();
+
+    for (const [key, expiration] of expirations) {
+      if (expiration > now) {
+        break;
+      }
+      expirations.delete(key);
+    }
+  };
+
+  /**
+   * @param {string} key
+   */
+  const has = (key) => {
+    prune();
+
+    return expirations.has(key);
+  };
+
+  /**
+   * Adds the `key` to the set, refreshing its expiration if it was
+   * already there.
+   * @param {string} key
+   */
+  const add = (key) => {
+    expirations.delete(key);
+    expirations.set(key, Date.now() + ttl);
+
+    while (expirations.size > maxSize) {
+      const [oldest] = expirations.keys();
+      expirations.delete(oldest);
+    }
+  };
+
+  /**
+   * @param {string} key
+   */
+  const remove = (key) => {
+    expirations.delete(key);
+  };
+
+  return {
+    has,
+    add,
+    remove,
+  };
+};
+
+module.exports = {
+  createExpiringSet,
+};
@@ -0,0 +1,84 @@
+//@ts-check
+
+const { createCache } = require('./cache');
+
+/**
+ * Minimum number of milliseconds between two lookups of the
+ * installations triggered by an owner without one.
+ */
+const MIN_REFRESH_INTERVAL = 60 * 1000;
+
+/**
+ * @typedef {object} Installation
+ * @property {number} id
+ * @property {{ login: string } | null} account
+ */
+
+/**
+ * Creates a lookup of the installations of the GitHub App by owner
+ * (user or organization). The installations returned by
+ * `listInstallations` are cached for `ttl` milliseconds, and looked up
+ * again when an owner is not found in case the app has been installed
+ * there since.
+ * @param {object} options
+ * @param {() => Promise<Installation[]>} options.listInstallations
+ * @param {number} options.ttl
+ */
+const createInstallations = ({ listInstallations, ttl }) => {
+  const cache = createCache(
+    async () => {
+      const installations = await listInstallations();
+      /** @type {Map<string, number>} */
+      const ids = new Map();
+
+      for (const { id, account } of installations) {
+        if (account) {
+          // Logins are case insensitive
+          ids.set(account.login.toLowerCase(), id);
+        }
+      }
+
+      return ids;
+    },
+    { ttl, name: 'GitHub app installations' },
+  );
+
+  /**
+   * Returns the ID of the installation of the app for `owner`. Throws
+   * an error with the status `404` if the app is not installed there.
+   * @param {string} owner
+   */
+  const getInstallationId = async (owner) => {
+    const key = owner.toLowerCase();
+    let ids = await cache.get();
+
+    if (
+      !ids.has(key) &&
+      Date.now() - cache.getFetchedAt() >= MIN_REFRESH_INTERVAL
+    ) {
+      ids = await cache.get({ refresh: true });
+    }
+
+    const id = ids.get(key);
+
+    if (id === undefined) {
+      // Same status as GitHub so the dispatch is not retried
+      throw Object.assign(
+        new Error(
+          `The GitHub app is not installed on "${owner}", install it to reach its repositories`,
+        ),
+        { status: 404 },
+      );
+    }
+
+    return id;
+  };
+
+  return {
+    getInstallationId,
+  };
+};
+
+module.exports = {
+  createInstallations,
+};
@@ -0,0 +1,70 @@
+//@ts-check
+
+const fs = require('node:fs');
+const { dirname } = require('node:path');
+
+const { logger } = require('./logger');
+
+/**
+ * Reads the JSON values of `file`, one per line. Returns `null` if the
+ * file does not exist.
+ * @param {string} file
+ * @returns {any[] | null}
+ */
+const readJsonLines = (file) => {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  const values = [];
+
+  for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    try {
+      values.push(JSON.parse(line));
+    } catch (e) {
+      // A crash in the middle of a write can leave a partial line
+      logger.warn(`Ignoring invalid line in ${file}`);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Appends `value` to `file` as a line of JSON. Writes are synchronous
+ * so the file is never behind what the caller did.
+ * @param {string} file
+ * @param {any} value
+ */
+const appendJsonLine = (file, value) => {
+  fs.mkdirSync(dirname(file), { recursive: true });
+  fs.appendFileSync(file, `${JSON.stringify(value)}\n`);
+};
+
+/**
+ * Replaces the content of `file` with the `values`, one per line. The
+ * new file replaces the old one at once, so a crash can not leave it
+ * half written.
+ * @param {string} file
+ * @param {any[]} values
+ */
+const writeJsonLines = (file, values) => {
+  const tmp = `${file}.tmp`;
+
+  fs.mkdirSync(dirname(file), { recursive: true });
+  fs.writeFileSync(
+    tmp,
+    values.map((value) => `${JSON.stringify(value)}\n`).join(''),
+  );
+  fs.renameSync(tmp, file);
+};
+
+module.exports = {
+  appendJsonLine,
+  readJsonLines,
+  writeJsonLines,
+};
@@ -0,0 +1,158 @@
+//@ts-check
+
+const { AsyncLocalStorage } = require('node:async_hooks');
+
+const { LOG_LEVEL = 'info' } = process.env;
+
+/**
+ * @typedef {'debug' | 'info' | 'warn' | 'error'} Level
+ */
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+/**
+ * Fields added to all the lines logged while handling a request,
+ * e.g. the delivery ID.
+ * @type {AsyncLocalStorage<Record<string, unknown>>}
+ */
+const context = new AsyncLocalStorage();
+
+/**
+ * Errors are not serializable and the ones thrown by Octokit hold the
+ * whole request and response, only keep what is useful.
+ * @param {unknown} value
+ */
+const serialize = (value) => {
+  if (!(value instanceof Error)) {
+    return value;
+  }
+
+  const { name, message, stack } = value;
+  /** @type {Record<string, unknown>} */
+  const error = { name, message, stack };
+
+  if ('status' in value) {
+    error.status = value.status;
+  }
+
+  return error;
+};
+
+/**
+ * @param {string} line
+ * @param {Level} level
+ */
+const writeLine = (line, level) => {
+  if (level === 'warn' || level === 'error') {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+};
+
+/**
+ * Creates a logger that writes JSON lines with the fields of the
+ * current log context. Lines below `level` are dropped.
+ * @param {{ level?: string, write?: (line: string, level: Level) => void }} [options]
+ */
+const createLogger = ({ level = LOG_LEVEL, write = writeLine } = {}) => {
+  if (!(level in LEVELS)) {
+    throw new Error(
+      `Invalid log level "${level}", expected one of ${Object.keys(LEVELS).join(', ')}`,
+    );
+  }
+
+  /**
+   * @param {Level} lineLevel
+   * @param {string} message
+   * @param {Record<string, unknown>} [fields]
+   */
+  const log = (lineLevel, message, fields = {}) => {
+    if (LEVELS[lineLevel] < LEVELS[level]) {
+      return;
+    }
+
+    const line = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      message,
+      ...context.getStore(),
+    };
+
+    for (const [key, value] of Object.entries(fields)) {
+      line[key] = serialize(value);
+    }
+
+    write(`${JSON.stringify(line)}\n`, lineLevel);
+  };
+
+  return {
+    /**
+     * @param {string} message
+     * @param {Record<string, unknown>} [fields]
+     */
+    debug: (message, fields) => log('debug', message, fields),
+    /**
+     * @param {string} message
+     * @param {Record<string, unknown>} [fields]
+     */
+    info: (message, fields) => log('info', message, fields),
+    /**
+     * @param {string} message
+     * @param {Record<string, unknown>} [fields]
+     */
+    warn: (message, fields) => log('warn', message, fields),
+    /**
+     * @param {string} message
+     * @param {Record<string, unknown>} [fields]
+     */
+    error: (message, fields) => log('error', message, fields),
+  };
+};
+
+/**
+ * Runs `callback` with the given `fields` added to the log context,
+ * including anything it calls asynchronously.
+ * @template T
+ * @param {Record<string, unknown>} fields
+ * @param {() => T} callback
+ * @returns {T}
+ */
+const withLogContext = (fields, callback) => {
+  return context.run({ ...context.getStore(), ...fields }, callback);
+};
+
+/**
+ * Adds `fields` to the current log context, if any.
+ * @param {Record<string, unknown>} fields
+ */
+const addLogContext = (fields) => {
+  const store = context.getStore();
+
+  if (store) {
+    Object.assign(store, fields);
+  }
+};
+
+/**
+ * Returns a copy of the fields of the current log context.
+ */
+const getLogContext = () => {
+  return { ...context.getStore() };
+};
+
+const logger = createLogger();
+
+module.exports = {
+  addLogContext,
+  createLogger,
+  getLogContext,
+  logger,
+  withLogContext,
+};
@@ -0,0 +1,78 @@
+//@ts-check
+
+const { Counter, Histogram, Registry } = require('prom-client');
+
+const register = new Registry();
+
+const webhooksReceived = new Counter({
+  name: 'website_updater_webhooks_received_total',
+  help: 'Webhook deliveries received, by GitHub event',
+  labelNames: ['event'],
+  registers: [register],
+});
+
+const decisions = new Counter({
+  name: 'website_updater_dispatch_decisions_total',
+  help: 'Decisions taken for the received deliveries, by event and reason',
+  labelNames: ['event', 'reason'],
+  registers: [register],
+});
+
+const dispatches = new Counter({
+  name: 'website_updater_dispatches_total',
+  help: 'Attempts to send a repository_dispatch, by event type, target and result',
+  labelNames: ['event_type', 'target', 'result'],
+  registers: [register],
+});
+
+const signatureFailures = new Counter({
+  name: 'website_updater_webhook_signature_failures_total',
+  help: 'Webhook deliveries rejected because of their signature, by reason',
+  labelNames: ['reason'],
+  registers: [register],
+});
+
+const legacySignatures = new Counter({
+  name: 'website_updater_webhook_legacy_signatures_total',
+  help: 'Webhook deliveries accepted with the legacy SHA-1 X-Hub-Signature header',
+  registers: [register],
+});
+
+const githubRequestDuration = new Histogram({
+  name: 'website_updater_github_request_duration_seconds',
+  help: 'Duration of the calls to the GitHub API, by operation',
+  labelNames: ['operation', 'result'],
+  registers: [register],
+});
+
+/**
+ * Runs `request` and records its duration as the GitHub API call
+ * `operation`.
+ * @template T
+ * @param {string} operation
+ * @param {() => Promise<T>} request
+ * @returns {Promise<T>}
+ */
+const timeGitHubRequest = async (operation, request) => {
+  const end = githubRequestDuration.startTimer({ operation });
+
+  try {
+    const result = await request();
+    end({ result: 'success' });
+
+    return result;
+  } catch (e) {
+    end({ result: 'failure' });
+    throw e;
+  }
+};
+
+module.exports = {
+  decisions,
+  dispatches,
+  legacySignatures,
+  register,
+  signatureFailures,
+  timeGitHubRequest,
+  webhooksReceived,
+};
@@ -0,0 +1,27 @@
+//@ts-check
+
+const picomatch = require('picomatch');
+
+/**
+ * Creates a function that returns `true` if a file path matches
+ * any of the `include` globs and none of the `exclude` ones. Paths
+ * are relative to the root of the repository, so `docs/**` matches
+ * `docs/api/app.md` but not `spec/fixtures/docs/foo.js`.
+ * @param {{ include: string[], exclude?: string[] }} globs
+ * @returns {(file: string) => boolean}
+ */
+const createPathMatcher = ({ include, exclude = [] }) => {
+  const options = { dot: true };
+  const isIncluded = picomatch(include, options);
+  const isExcluded = exclude.length > 0 ? picomatch(exclude, options) : null;
+
+  return (file) => {
+    const path = file.replace(/^\/+/, '');
+
+    return isIncluded(path) && !(isExcluded && isExcluded(path));
+  };
+};
+
+module.exports = {
+  createPathMatcher,
+};
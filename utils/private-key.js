@@ -0,0 +1,94 @@
+//@ts-check
+
+const { createPrivateKey } = require('node:crypto');
+const fs = require('node:fs');
+
+const PEM_HEADER = '-----BEGIN';
+
+/**
+ * Returns the PEM in `value` if it is one, with literal `\n` (e.g. from
+ * a `.env` file) turned into line breaks.
+ * @param {string} value
+ */
+const toPem = (value) => {
+  if (!value.includes(PEM_HEADER)) {
+    return undefined;
+  }
+
+  return `${value.replace(/\\n/g, '\n').trim()}\n`;
+};
+
+/**
+ * Decodes `value` if it is a base64 encoded PEM.
+ * @param {string} value
+ */
+const fromBase64 = (value) => {
+  if (!/^[A-Za-z0-9+/=\s]+$/.test(value)) {
+    return undefined;
+  }
+
+  return toPem(Buffer.from(value, 'base64').toString('utf-8'));
+};
+
+/**
+ * Reads the PEM of the file at `value`, if there is one.
+ * @param {string} value
+ */
+const fromFile = (value) => {
+  if (value.includes('\n') || !fs.existsSync(value)) {
+    return undefined;
+  }
+
+  const pem = toPem(fs.readFileSync(value, 'utf-8'));
+
+  if (!pem) {
+    throw new Error(`"${value}" is not a PEM file`);
+  }
+
+  return pem;
+};
+
+/**
+ * Returns the PEM of the private key in `value`, which can be:
+ * * the PEM, with line breaks or literal `\n`
+ * * a JSON string of the PEM (e.g. `"-----BEGIN...\n"`)
+ * * a path to a PEM file
+ * * the base64 encoded PEM
+ *
+ * Throws if the key is not valid. The errors never include the key.
+ * @param {string} value
+ * @param {string} [name] Name of the setting, used in the errors
+ */
+const loadPrivateKey = (value, name = 'CLIENT_PRIVATE_KEY') => {
+  const trimmed = value.trim();
+  let pem;
+
+  try {
+    // Older configurations have the JSON string of the PEM
+    const unquoted = trimmed.startsWith('"') ? JSON.parse(trimmed) : trimmed;
+
+    pem = toPem(unquoted) || fromFile(unquoted) || fromBase64(unquoted);
+  } catch (e) {
+    throw new Error(
+      `"${name}" could not be read: ${e instanceof SyntaxError ? 'invalid JSON string' : e.message}`,
+    );
+  }
+
+  if (!pem) {
+    throw new Error(
+      `"${name}" must be a PEM private key, the path to one or a base64 encoded one`,
+    );
+  }
+
+  try {
+    createPrivateKey(pem);
+  } catch (e) {
+    throw new Error(`"${name}" is not a valid private key`);
+  }
+
+  return pem;
+};
+
+module.exports = {
+  loadPrivateKey,
+};
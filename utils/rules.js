@@ -0,0 +1,246 @@
+//@ts-check
+
+const fs = require('node:fs');
+const { join } = require('node:path');
+
+const { createPathMatcher } = require('./paths');
+
+const {
+  OWNER = 'electron',
+  RULES_FILE = join(__dirname, '..', 'config', 'rules.json'),
+} = process.env;
+
+/**
+ * @typedef {object} Repository
+ * @property {string} owner
+ * @property {string} repo
+ */
+
+/**
+ * @typedef {object} RuleEvents
+ * @property {string} [branch] Sent for each push with doc changes
+ * @property {string} [latest] Sent when the push is for the latest stable
+ * @property {string} [prerelease] Sent instead of the others when the push is for a
+ * major newer than the latest stable that already has an alpha or beta
+ * @property {string} [nightly] Sent, instead of the others, for pushes to the
+ * default branch of the source
+ * @property {Record<string, string>} [release] Sent for the given `release` actions
+ */
+
+/**
+ * @typedef {object} Rule
+ * @property {string} name
+ * @property {Repository} source
+ * @property {RegExp} branches
+ * @property {string[]} paths Globs of the files to watch
+ * @property {string[]} exclude Globs of the files to ignore
+ * @property {(file: string) => boolean} matchesPath
+ * @property {Repository[]} targets
+ * @property {RuleEvents} events
+ */
+
+const PUSH_EVENTS = ['branch', 'latest', 'prerelease', 'nightly'];
+const RELEASE_ACTIONS = ['published', 'edited', 'deleted'];
+
+/**
+ * Transforms `owner/repo` or `repo` into a `Repository`. The owner
+ * defaults to the `OWNER` environment variable. Surrounding whitespace
+ * is ignored, as it is when the name is validated.
+ * @param {string} name
+ * @returns {Repository}
+ */
+const toRepository = (name) => {
+  const trimmed = name.trim();
+  const [owner, repo] = trimmed.includes('/')
+    ? trimmed.split('/')
+    : [OWNER, trimmed];
+
+  return { owner, repo };
+};
+
+/**
+ * @param {unknown} value
+ */
+const isNonEmptyString = (value) => {
+  return typeof value === 'string' && value.trim() !== '';
+};
+
+/**
+ * @param {unknown} value
+ */
+const isRepositoryName = (value) => {
+  return (
+    typeof value === 'string' && /^([\w.-]+\/)?[\w.-]+$/.test(value.trim())
+  );
+};
+
+/**
+ * @param {string} value
+ */
+const isRegExp = (value) => {
+  try {
+    new RegExp(value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Returns the list of problems found in the `events` of a rule.
+ * @param {any} events
+ * @param {string} path
+ */
+const validateEvents = (events, path) => {
+  if (!events || typeof events !== 'object' || Array.isArray(events)) {
+    return [`${path}: must be an object`];
+  }
+
+  const errors = [];
+
+  for (const [key, value] of Object.entries(events)) {
+    if (PUSH_EVENTS.includes(key)) {
+      if (!isNonEmptyString(value)) {
+        errors.push(`${path}.${key}: must be an event type`);
+      }
+    } else if (key === 'release') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path}.release: must be an object`);
+        continue;
+      }
+
+      for (const [action, eventType] of Object.entries(value)) {
+        if (!RELEASE_ACTIONS.includes(action)) {
+          errors.push(
+            `${path}.release.${action}: unknown action, expected one of ${RELEASE_ACTIONS.join(', ')}`,
+          );
+        } else if (!isNonEmptyString(eventType)) {
+          errors.push(`${path}.release.${action}: must be an event type`);
+        }
+      }
+    } else {
+      errors.push(
+        `${path}.${key}: unknown event, expected one of ${[...PUSH_EVENTS, 'release'].join(', ')}`,
+      );
+    }
+  }
+
+  if (Object.keys(events).length === 0) {
+    errors.push(`${path}: must have at least one event`);
+  }
+
+  return errors;
+};
+
+/**
+ * Returns the list of problems found in a rule.
+ * @param {any} rule
+ * @param {string} path
+ */
+const validateRule = (rule, path) => {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return [`${path}: must be an object`];
+  }
+
+  const errors = [];
+
+  if (!isNonEmptyString(rule.name)) {
+    errors.push(`${path}.name: must be a non empty string`);
+  }
+
+  if (!isRepositoryName(rule.source)) {
+    errors.push(
+      `${path}.source: must be a repository ("owner/repo" or "repo")`,
+    );
+  }
+
+  if (!isNonEmptyString(rule.branches) || !isRegExp(rule.branches)) {
+    errors.push(`${path}.branches: must be a regular expression`);
+  }
+
+  if (
+    !Array.isArray(rule.paths) ||
+    rule.paths.length === 0 ||
+    !rule.paths.every(isNonEmptyString)
+  ) {
+    errors.push(`${path}.paths: must be a non empty list of globs`);
+  }
+
+  if (
+    rule.exclude !== undefined &&
+    (!Array.isArray(rule.exclude) || !rule.exclude.every(isNonEmptyString))
+  ) {
+    errors.push(`${path}.exclude: must be a list of globs`);
+  }
+
+  if (
+    !Array.isArray(rule.targets) ||
+    rule.targets.length === 0 ||
+    !rule.targets.every(isRepositoryName)
+  ) {
+    errors.push(
+      `${path}.targets: must be a non empty list of repositories ("owner/repo" or "repo")`,
+    );
+  }
+
+  errors.push(...validateEvents(rule.events, `${path}.events`));
+
+  return errors;
+};
+
+/**
+ * Validates the content of a rules file and transforms it into
+ * the list of `Rule`s. Throws with all the problems found if the
+ * content is not valid.
+ * @param {any} config
+ * @returns {Rule[]}
+ */
+const parseRules = (config) => {
+  if (!config || !Array.isArray(config.rules) || config.rules.length === 0) {
+    throw new Error(`Invalid rules: "rules" must be a non empty list`);
+  }
+
+  const errors = config.rules.flatMap((rule, index) =>
+    validateRule(rule, `rules[${index}]`),
+  );
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid rules:\n${errors.join('\n')}`);
+  }
+
+  return config.rules.map((rule) => ({
+    name: rule.name,
+    source: toRepository(rule.source),
+    branches: new RegExp(rule.branches),
+    paths: rule.paths,
+    exclude: rule.exclude || [],
+    matchesPath: createPathMatcher({
+      include: rule.paths,
+      exclude: rule.exclude,
+    }),
+    targets: rule.targets.map(toRepository),
+    events: rule.events,
+  }));
+};
+
+/**
+ * Reads and validates the rules file, `RULES_FILE` by default.
+ * @param {string} [file]
+ * @returns {Rule[]}
+ */
+const loadRules = (file = RULES_FILE) => {
+  let config;
+
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Could not read the rules file "${file}": ${e.message}`);
+  }
+
+  return parseRules(config);
+};
+
+module.exports = {
+  loadRules,
+  parseRules,
+};
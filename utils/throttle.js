@@ -0,0 +1,98 @@
+//@ts-check
+
+const { logger } = require('./logger');
+
+/**
+ * Creates a throttle that sends at most one value per key every
+ * `interval` milliseconds. A value added too soon is held (merged with
+ * any other held value of the same key) and sent once the interval has
+ * passed, so the newest value is never lost.
+ * @template T
+ * @param {object} options
+ * @param {number} options.interval
+ * @param {(older: T, newer: T) => T} options.merge
+ * @param {(value: T) => Promise<void>} options.send
+ */
+const createThrottle = ({ interval, merge, send }) => {
+  /** @type {Map<string, number>} */
+  const lastSentAt = new Map();
+  /** @type {Map<string, { value: T, timer: NodeJS.Timeout }>} */
+  const held = new Map();
+
+  /**
+   * @param {string} key
+   * @param {T} value
+   */
+  const sendNow = async (key, value) => {
+    lastSentAt.set(key, Date.now());
+
+    try {
+      await send(value);
+    } catch (e) {
+      logger.error(`Error sending the throttled value for ${key}`, {
+        error: e,
+      });
+    }
+  };
+
+  /**
+   * Sends the value held for `key` right away.
+   * @param {string} key
+   */
+  const sendHeld = async (key) => {
+    const { value, timer } = held.get(key);
+
+    clearTimeout(timer);
+    held.delete(key);
+
+    await sendNow(key, value);
+  };
+
+  /**
+   * Sends the value right away if nothing was sent for `key` during
+   * the last `interval`, otherwise holds it.
+   * @param {string} key
+   * @param {T} value
+   */
+  const add = async (key, value) => {
+    const pending = held.get(key);
+
+    if (pending) {
+      pending.value = merge(pending.value, value);
+      return;
+    }
+
+    const elapsed = Date.now() - (lastSentAt.get(key) || 0);
+
+    if (elapsed >= interval) {
+      await sendNow(key, value);
+      return;
+    }
+
+    logger.info(
+      `Holding ${key} for ${interval - elapsed}ms, the last one was sent ${elapsed}ms ago`,
+    );
+
+    const timer = setTimeout(() => sendHeld(key), interval - elapsed);
+    // A held value should not keep the process alive
+    timer.unref();
+
+    held.set(key, { value, timer });
+  };
+
+  /**
+   * Sends all the held values right away.
+   */
+  const flush = async () => {
+    await Promise.all([...held.keys()].map(sendHeld));
+  };
+
+  return {
+    add,
+    flush,
+  };
+};
+
+module.exports = {
+  createThrottle,
+};
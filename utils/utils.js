@@ -1,19 +1,52 @@
 const { graphql } = require('@octokit/graphql');
-const { verify } = require('@octokit/webhooks-methods');
 const { Octokit } = require('@octokit/rest');
 const { createAppAuth } = require('@octokit/auth-app');
 const { compare } = require('semver');
+const { randomUUID } = require('node:crypto');
+const { join } = require('node:path');
+
+const { createAuditLog } = require('./audit-log');
+const { createCache } = require('./cache');
+const { toLatestInformation } = require('./decisions');
+const { createDispatchQueue } = require('./dispatch-queue');
+const { createInstallations } = require('./installations');
+const { getLogContext, logger } = require('./logger');
+const { loadPrivateKey } = require('./private-key');
+const {
+  dispatches,
+  legacySignatures,
+  signatureFailures,
+  timeGitHubRequest,
+} = require('./metrics');
+const {
+  findSecret,
+  getActiveSecrets,
+  parseWebhookSecrets,
+} = require('./webhook-secrets');
 
 const {
   GITHUB_TOKEN,
   WEBHOOK_SECRET,
+  WEBHOOK_SECRETS,
+  WEBHOOK_ACCEPT_SHA1 = 'false',
   APP_ID,
   CLIENT_PRIVATE_KEY,
-  INSTALLATION_ID,
   CLIENT_ID,
   CLIENT_SECRET,
+  RELEASES_CACHE_TTL = '300',
+  INSTALLATIONS_CACHE_TTL = '3600',
+  DISPATCH_QUEUE_FILE = join(__dirname, '..', 'data', 'dispatch-queue.jsonl'),
+  DISPATCH_MAX_ATTEMPTS = '8',
+  DELIVERIES_FILE = join(__dirname, '..', 'data', 'deliveries.jsonl'),
+  DELIVERIES_RETENTION = '30',
+  DRY_RUN = 'false',
 } = process.env;
 
+/**
+ * Maximum number of dispatches remembered in dry-run mode.
+ */
+const MAX_DRY_RUN_DISPATCHES = 1000;
+
 /**
  * @param {NodeResult} release
  */
@@ -27,87 +60,212 @@ const getVersion = (release) => {
 };
 
 /**
- * Transforms a NodeResult into a Release
+ * Transforms a NodeResult into a Release, split between stable
+ * and prerelease versions and sorted in ascending order
  * @param {NodeResult[]} releases
  */
 const toReleases = (releases) => {
   const stables = releases.filter((release) => !release.isPrerelease);
+  const prereleases = releases.filter((release) => release.isPrerelease);
 
-  const versions = stables.map((release) => {
-    return getVersion(release);
-  });
-
-  return versions;
+  return {
+    stables: stables.map(getVersion).sort(compare),
+    prereleases: prereleases.map(getVersion).sort(compare),
+  };
 };
 
-const getReleases = async () => {
-  const query = `
-{
-  repository(owner: "electron", name: "electron") {
-    refs(refPrefix: "refs/tags/", first: 1) {
+/**
+ * Number of stable releases to collect before we stop paginating. Releases
+ * are ordered by creation date, so a few patches of older majors can be
+ * newer than the latest stable and we need more than one to find it.
+ */
+const MIN_STABLE_RELEASES = 10;
+/**
+ * Safety net to avoid walking the whole release history.
+ */
+const MAX_RELEASE_PAGES = 10;
+
+const RELEASES_QUERY = `
+query ($owner: String!, $repo: String!, $cursor: String) {
+  repository(owner: $owner, name: $repo) {
+    releases(first: 100, after: $cursor, orderBy: {field: CREATED_AT, direction: DESC}) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
       nodes {
-        repository {
-          releases(first: 100, orderBy: {field: CREATED_AT, direction: DESC}) {
-            nodes {
-              name
-              url
-              isPrerelease
-            }
-          }
-        }
+        name
+        url
+        isPrerelease
       }
     }
   }
 }`;
 
-  const graphqlWithAuth = await getAuthenticatedGraphql();
-  const queryResults = await graphqlWithAuth(query);
+/**
+ * Returns the stable and prerelease versions of `electron/electron` sorted
+ * in ascending order. Pages through the release history until at least
+ * `MIN_STABLE_RELEASES` stable releases are found so a burst of
+ * prereleases can't hide the latest stable. Throws if there is none.
+ * @param {typeof graphql} [graphqlWithAuth] The client to use, an authenticated one is created by default
+ */
+const getReleases = async (graphqlWithAuth) => {
+  const request =
+    graphqlWithAuth || (await getAuthenticatedGraphql('electron'));
+  /** @type {NodeResult[]} */
+  const nodes = [];
+  let cursor = null;
+  let pages = 0;
 
-  const releases = toReleases(
-    queryResults.repository.refs.nodes[0].repository.releases.nodes,
-  );
+  while (pages < MAX_RELEASE_PAGES) {
+    pages++;
 
-  return releases.sort(compare);
+    const queryResults = await request(RELEASES_QUERY, {
+      owner: 'electron',
+      repo: 'electron',
+      cursor,
+    });
+    const { pageInfo, nodes: pageNodes } = queryResults.repository.releases;
+
+    nodes.push(...pageNodes);
+
+    const stables = nodes.filter((release) => !release.isPrerelease);
+
+    if (stables.length >= MIN_STABLE_RELEASES || !pageInfo.hasNextPage) {
+      break;
+    }
+
+    cursor = pageInfo.endCursor;
+  }
+
+  const releases = toReleases(nodes);
+
+  if (releases.stables.length === 0) {
+    throw new Error(
+      `No stable release found in the last ${pages} page(s) of releases`,
+    );
+  }
+
+  return releases;
 };
 
-const getLatestInformation = async () => {
-  const releases = await getReleases();
-  const latestVersion = releases.pop();
-  const branch = latestVersion.replace(/\.\d+\.\d+$/, '-x-y');
+const fetchLatestInformation = async () => {
+  const releases = await timeGitHubRequest('getReleases', () => getReleases());
 
-  return {
-    version: latestVersion,
-    branch,
-  };
+  return toLatestInformation(releases);
+};
+
+const latestInformationCache = createCache(fetchLatestInformation, {
+  ttl: parseInt(RELEASES_CACHE_TTL) * 1000,
+  name: 'latest release information',
+});
+
+/**
+ * Returns the latest stable version and its branch (`xx-y-z`), and the
+ * branches of the newer majors that have an alpha or beta release.
+ * The information is cached for `RELEASES_CACHE_TTL` seconds and
+ * the last known value is used if GitHub can't be reached.
+ * @param {{ refresh?: boolean }} [options] Use `refresh` to bypass the cache
+ */
+const getLatestInformation = (options) => {
+  return latestInformationCache.get(options);
 };
 
 /**
- * Middleware to verify the integrity of a GitHub webhook
- * using the `X-Hub-Signature` and `@octokit/webhook-methods/verify`
+ * Returns when the latest release information was last fetched
+ * successfully from GitHub, in milliseconds, or `undefined` if it
+ * never was.
+ */
+const getReleasesFetchedAt = () => {
+  return latestInformationCache.getFetchedAt();
+};
+
+/** @type {import('./webhook-secrets').WebhookSecret[]} */
+let _webhookSecrets;
+
+/**
+ * Returns the secrets accepted to sign the webhooks, from
+ * `WEBHOOK_SECRET` and `WEBHOOK_SECRETS`. Throws if they are not valid.
+ */
+const getWebhookSecrets = () => {
+  if (!_webhookSecrets) {
+    _webhookSecrets = parseWebhookSecrets({
+      secret: WEBHOOK_SECRET,
+      secrets: WEBHOOK_SECRETS,
+    });
+  }
+
+  return _webhookSecrets;
+};
+
+/**
+ * Rejects a delivery whose signature could not be verified.
+ * @param {import('express').Response} res
+ * @param {'missing' | 'invalid' | 'expired'} reason
+ * @param {string} message
+ * @param {Record<string, unknown>} [fields]
+ */
+const rejectSignature = (res, reason, message, fields) => {
+  signatureFailures.inc({ reason });
+  logger.warn(message, fields);
+
+  return res.status(400).send(message);
+};
+
+/**
+ * Middleware to verify the integrity of a GitHub webhook using the
+ * `X-Hub-Signature-256` and the raw bytes of the body (`req.body` must
+ * be a `Buffer`), as re-serializing the JSON would not always give
+ * back what GitHub signed. Any of the secrets that have not expired is
+ * accepted. The SHA-1 `X-Hub-Signature` is only used when
+ * `WEBHOOK_ACCEPT_SHA1` is enabled and there is no `X-Hub-Signature-256`.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  * @param {import('express').NextFunction} next
  */
-const verifyIntegrity = async (req, res, next) => {
-  if (!WEBHOOK_SECRET) {
-    console.log('No secret specified, skipping integrity check');
+const verifyIntegrity = (req, res, next) => {
+  const secrets = getWebhookSecrets();
+
+  if (secrets.length === 0) {
+    logger.info('No secret specified, skipping integrity check');
     return next();
   }
-  const signature = req.header('X-Hub-Signature-256');
+
+  const signature256 = req.header('X-Hub-Signature-256');
+  const signature1 =
+    WEBHOOK_ACCEPT_SHA1 === 'true' ? req.header('X-Hub-Signature') : undefined;
+  const algorithm = signature256 ? 'sha256' : 'sha1';
+  const signature = signature256 || signature1;
 
   if (!signature) {
-    console.error(`Missing signature in payload`);
-    return res.status(400).send(`Missing signature in payload`);
+    return rejectSignature(res, 'missing', `Missing signature in payload`);
   }
 
-  const valid = await verify(WEBHOOK_SECRET, req.body, signature);
+  // The algorithm is picked from the prefix of the signature
+  if (!signature.startsWith(`${algorithm}=`)) {
+    return rejectSignature(res, 'invalid', `Invalid signature`);
+  }
 
-  if (valid) {
-    return next();
-  } else {
-    console.error(`Invalid signature`);
-    return res.status(400).send(`Invalid signature`);
+  const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const secret = findSecret(secrets, body, signature);
+
+  if (!secret) {
+    return rejectSignature(res, 'invalid', `Invalid signature`);
   }
+
+  if (!getActiveSecrets(secrets).includes(secret)) {
+    return rejectSignature(res, 'expired', `Signed with an expired secret`, {
+      secret: secret.name,
+    });
+  }
+
+  if (algorithm === 'sha1') {
+    legacySignatures.inc();
+  }
+
+  logger.info(`Valid signature`, { secret: secret.name, algorithm });
+
+  return next();
 };
 
 /**
@@ -115,13 +273,7 @@ const verifyIntegrity = async (req, res, next) => {
  * are available
  */
 const appInfoAvailable = () => {
-  return (
-    !!APP_ID &&
-    !!CLIENT_PRIVATE_KEY &&
-    !!INSTALLATION_ID &&
-    !!CLIENT_ID &&
-    !!CLIENT_SECRET
-  );
+  return !!APP_ID && !!CLIENT_PRIVATE_KEY && !!CLIENT_ID && !!CLIENT_SECRET;
 };
 
 let _authorization;
@@ -131,18 +283,21 @@ let _authorization;
  * available environment variables:
  * * `GITHUB_TOKEN`: Token Auth
  * * `APP_ID`: App Auth
+ *
+ * The App Auth one is for the app itself, which can only manage its
+ * installations. Use `getInstallationAuthorization` to reach the
+ * repositories.
  */
 const getAuthorization = () => {
   if (_authorization) {
     return _authorization;
   } else if (appInfoAvailable()) {
-    console.log(`Authenticating using GitHub app`);
+    logger.info(`Authenticating using GitHub app`);
     _authorization = {
       authStrategy: createAppAuth,
       auth: {
         appId: APP_ID,
-        privateKey: JSON.parse(CLIENT_PRIVATE_KEY),
-        installationId: INSTALLATION_ID,
+        privateKey: loadPrivateKey(CLIENT_PRIVATE_KEY),
         clientId: CLIENT_ID,
         clientSecret: CLIENT_SECRET,
       },
@@ -150,7 +305,7 @@ const getAuthorization = () => {
 
     return _authorization;
   } else if (GITHUB_TOKEN) {
-    console.log(`Authenticating using token`);
+    logger.info(`Authenticating using token`);
     _authorization = {
       auth: GITHUB_TOKEN,
     };
@@ -161,37 +316,307 @@ const getAuthorization = () => {
   throw new Error(`Could not identify the right auth strategy`);
 };
 
+/**
+ * Throws if the GitHub App private key is specified but can't be
+ * loaded, so an invalid key is noticed at startup rather than on the
+ * first call to GitHub.
+ */
+const validatePrivateKey = () => {
+  if (CLIENT_PRIVATE_KEY) {
+    loadPrivateKey(CLIENT_PRIVATE_KEY);
+  }
+};
+
+/** @type {ReturnType<typeof createInstallations>} */
+let _installations;
+
+/**
+ * Returns the auth strategy to reach the repositories of `owner`. With
+ * a GitHub App, it uses the installation of the app for `owner`, the
+ * installations are cached for `INSTALLATIONS_CACHE_TTL` seconds.
+ * Throws if the app is not installed for `owner`.
+ * @param {string} owner
+ */
+const getInstallationAuthorization = async (owner) => {
+  const authorization = getAuthorization();
+
+  if (!authorization.authStrategy) {
+    return authorization;
+  }
+
+  if (!_installations) {
+    _installations = createInstallations({
+      listInstallations: () => {
+        const octokit = new Octokit(authorization);
+
+        return timeGitHubRequest('listInstallations', () =>
+          octokit.paginate(octokit.apps.listInstallations, { per_page: 100 }),
+        );
+      },
+      ttl: parseInt(INSTALLATIONS_CACHE_TTL) * 1000,
+    });
+  }
+
+  const installationId = await _installations.getInstallationId(owner);
+
+  return {
+    ...authorization,
+    auth: { ...authorization.auth, installationId },
+  };
+};
+
+/**
+ * Sends a `repository_dispatch` event to GitHub. Throws if GitHub
+ * rejects it.
+ * @param {import('./dispatch-queue').Dispatch} dispatch
+ */
+const createDispatchEvent = async ({ owner, repo, eventType, payload }) => {
+  const octokit = new Octokit(await getInstallationAuthorization(owner));
+
+  const target = `${owner}/${repo}`;
+
+  logger.debug(`Sending repository_dispatch`, { target, eventType, payload });
+
+  try {
+    await timeGitHubRequest('createDispatchEvent', () =>
+      octokit.repos.createDispatchEvent({
+        owner,
+        repo,
+        event_type: eventType,
+        client_payload: payload,
+      }),
+    );
+  } catch (e) {
+    dispatches.inc({ event_type: eventType, target, result: 'failure' });
+    throw e;
+  }
+
+  dispatches.inc({ event_type: eventType, target, result: 'success' });
+  logger.info(`Sent repository_dispatch`, { target, eventType });
+};
+
+/**
+ * Returns `true` if `DRY_RUN` is enabled, i.e. if the
+ * `repository_dispatch` events are recorded instead of sent.
+ */
+const isDryRun = () => {
+  return DRY_RUN === 'true';
+};
+
+/**
+ * @typedef {import('./dispatch-queue').Dispatch & {
+ *   id: string,
+ *   status: 'dry-run',
+ *   createdAt: string,
+ *   deliveryId?: string,
+ * }} DryRunDispatch
+ */
+
+/** @type {DryRunDispatch[]} */
+const dryRunDispatches = [];
+
+/**
+ * Records the `repository_dispatch` event that would have been sent
+ * when `DRY_RUN` is enabled.
+ * @param {import('./dispatch-queue').Dispatch} dispatch
+ */
+const recordDryRunDispatch = async ({ owner, repo, eventType, payload }) => {
+  const { deliveryId } = getLogContext();
+  /** @type {DryRunDispatch} */
+  const record = {
+    id: randomUUID(),
+    owner,
+    repo,
+    eventType,
+    payload,
+    status: 'dry-run',
+    createdAt: new Date().toISOString(),
+  };
+
+  if (typeof deliveryId === 'string') {
+    record.deliveryId = deliveryId;
+  }
+
+  dryRunDispatches.push(record);
+  if (dryRunDispatches.length > MAX_DRY_RUN_DISPATCHES) {
+    dryRunDispatches.shift();
+  }
+
+  logger.info(`Dry run: would send repository_dispatch`, {
+    target: `${owner}/${repo}`,
+    eventType,
+    payload,
+  });
+
+  return record;
+};
+
+/**
+ * Returns the last `repository_dispatch` events recorded in dry-run
+ * mode, newest first.
+ */
+const getDryRunDispatches = () => {
+  return [...dryRunDispatches].reverse();
+};
+
+/** @type {ReturnType<typeof createDispatchQueue>} */
+let _dispatchQueue;
+
+/**
+ * Returns the queue used to send the `repository_dispatch` events,
+ * loading the pending ones from `DISPATCH_QUEUE_FILE` the first time.
+ * In dry-run the journal is left untouched for the next real run.
+ */
+const getDispatchQueue = () => {
+  if (!_dispatchQueue) {
+    _dispatchQueue = createDispatchQueue({
+      file: DISPATCH_QUEUE_FILE,
+      send: createDispatchEvent,
+      maxAttempts: parseInt(DISPATCH_MAX_ATTEMPTS),
+    });
+
+    if (!isDryRun()) {
+      _dispatchQueue.load();
+    }
+  }
+
+  return _dispatchQueue;
+};
+
+/** @type {ReturnType<typeof createAuditLog>} */
+let _auditLog;
+
+/**
+ * Returns the log of the received deliveries, loading the ones of the
+ * last `DELIVERIES_RETENTION` days from `DELIVERIES_FILE` the first time.
+ */
+const getAuditLog = () => {
+  if (!_auditLog) {
+    _auditLog = createAuditLog({
+      file: DELIVERIES_FILE,
+      retention: parseInt(DELIVERIES_RETENTION) * 24 * 60 * 60 * 1000,
+    });
+    _auditLog.load();
+  }
+
+  return _auditLog;
+};
+
 /**
  * Sends a `repository_dispatch` event top the given repo `target`
- * with the given type and payload.
+ * with the given type and payload. Failed events are retried later
+ * on by the dispatch queue. Resolves with the entry of the queue, or
+ * `undefined` if the event could not be queued. When `DRY_RUN` is
+ * enabled, the event is only recorded and the record is returned.
  * @param {string} owner The owner of the repo to send the event to
  * @param {string} repo The repo to send the event to
  * @param {string} eventType The type of event_dispatch to use
  * @param {object} payload The event's payload
  */
 const sendRepositoryDispatchEvent = async (owner, repo, eventType, payload) => {
-  const octokit = new Octokit(getAuthorization());
-
-  console.log(`Sending payload (${eventType}):
-${JSON.stringify(payload, null, 2)}`);
+  if (isDryRun()) {
+    return recordDryRunDispatch({ owner, repo, eventType, payload });
+  }
 
   try {
-    await octokit.repos.createDispatchEvent({
+    return await getDispatchQueue().enqueue({
       owner,
       repo,
+      eventType,
+      payload,
+    });
+  } catch (e) {
+    logger.error(`Error queuing repository_dispatch`, {
+      target: `${owner}/${repo}`,
+      eventType,
+      error: e,
+    });
+    dispatches.inc({
       event_type: eventType,
-      client_payload: payload,
+      target: `${owner}/${repo}`,
+      result: 'failure',
     });
 
-    console.log(`Payload sent`);
-  } catch (e) {
-    console.error(`Error sending repository_dispatch`);
-    console.error(e);
+    return undefined;
   }
 };
 
-const getAuthenticatedGraphql = async () => {
-  const authorization = getAuthorization();
+/**
+ * @typedef {object} ComparedFile
+ * @property {string} filename
+ * @property {'added' | 'removed' | 'modified' | 'renamed' | 'copied' | 'changed' | 'unchanged'} status
+ * @property {string} [previousFilename] The previous name of a renamed file
+ */
+
+/**
+ * The compare API returns at most 300 files.
+ */
+const MAX_COMPARE_FILES = 300;
+
+/**
+ * Returns the files changed between the commits `base` and `head`
+ * of the given repo. `complete` is `false` when GitHub may have left
+ * out some of the files.
+ * @param {string} owner
+ * @param {string} repo
+ * @param {string} base
+ * @param {string} head
+ * @returns {Promise<{ files: ComparedFile[], complete: boolean }>}
+ */
+const compareCommits = async (owner, repo, base, head) => {
+  const octokit = new Octokit(await getInstallationAuthorization(owner));
+
+  const { data } = await octokit.repos.compareCommits({
+    owner,
+    repo,
+    base,
+    head,
+  });
+  const files = data.files || [];
+
+  return {
+    files: files.map((file) => ({
+      filename: file.filename,
+      status: file.status,
+      previousFilename: file.previous_filename,
+    })),
+    complete: files.length < MAX_COMPARE_FILES,
+  };
+};
+
+/**
+ * Returns the SHA of the last commit of `branch` in the given repo.
+ * @param {string} owner
+ * @param {string} repo
+ * @param {string} branch
+ */
+const getBranchHead = async (owner, repo, branch) => {
+  const octokit = new Octokit(await getInstallationAuthorization(owner));
+
+  const { data } = await octokit.repos.getBranch({ owner, repo, branch });
+
+  return data.commit.sha;
+};
+
+/**
+ * Returns the name of the default branch of the given repo (e.g. `main`).
+ * @param {string} owner
+ * @param {string} repo
+ */
+const getDefaultBranch = async (owner, repo) => {
+  const octokit = new Octokit(await getInstallationAuthorization(owner));
+
+  const { data } = await octokit.repos.get({ owner, repo });
+
+  return data.default_branch;
+};
+
+/**
+ * Returns a GraphQL client to query the repositories of `owner`.
+ * @param {string} owner
+ */
+const getAuthenticatedGraphql = async (owner) => {
+  const authorization = await getInstallationAuthorization(owner);
 
   if (typeof authorization.auth !== 'string') {
     const auth = authorization.authStrategy(authorization.auth);
@@ -210,7 +635,20 @@ const getAuthenticatedGraphql = async () => {
 };
 
 module.exports = {
+  compareCommits,
+  createDispatchEvent,
+  getAuditLog,
+  getAuthorization,
+  getBranchHead,
+  getDefaultBranch,
+  getDispatchQueue,
+  getDryRunDispatches,
   getLatestInformation,
+  getReleases,
+  getReleasesFetchedAt,
+  getWebhookSecrets,
+  isDryRun,
   sendRepositoryDispatchEvent,
+  validatePrivateKey,
   verifyIntegrity,
 };
@@ -0,0 +1,124 @@
+//@ts-check
+
+const { createHmac, timingSafeEqual } = require('node:crypto');
+
+/**
+ * @typedef {object} WebhookSecret
+ * @property {string} name Logged when the secret matches, the secret
+ * itself never is
+ * @property {string} secret
+ * @property {number | null} expiresAt In milliseconds, `null` if the
+ * secret does not expire
+ */
+
+/**
+ * Parses the secrets accepted to sign the webhooks: `secret` (the
+ * value of `WEBHOOK_SECRET`) and `secrets` (the value of
+ * `WEBHOOK_SECRETS`), a JSON list of `{ name, secret, expiresAt? }`.
+ * Throws if `secrets` is not valid, without including its value.
+ * @param {{ secret?: string, secrets?: string }} values
+ * @returns {WebhookSecret[]}
+ */
+const parseWebhookSecrets = ({ secret, secrets }) => {
+  /** @type {WebhookSecret[]} */
+  const result = [];
+
+  if (secret) {
+    result.push({ name: 'WEBHOOK_SECRET', secret, expiresAt: null });
+  }
+
+  if (!secrets) {
+    return result;
+  }
+
+  let list;
+
+  try {
+    list = JSON.parse(secrets);
+  } catch (e) {
+    throw new Error(`"WEBHOOK_SECRETS" is not valid JSON`);
+  }
+
+  if (!Array.isArray(list)) {
+    throw new Error(`"WEBHOOK_SECRETS" must be a list`);
+  }
+
+  const errors = [];
+
+  list.forEach((entry, index) => {
+    const path = `WEBHOOK_SECRETS[${index}]`;
+
+    if (!entry || typeof entry.name !== 'string' || !entry.name) {
+      errors.push(`${path}: "name" must be a non empty string`);
+      return;
+    }
+
+    if (typeof entry.secret !== 'string' || !entry.secret) {
+      errors.push(`${path}: "secret" must be a non empty string`);
+      return;
+    }
+
+    const expiresAt =
+      entry.expiresAt === undefined ? null : Date.parse(entry.expiresAt);
+
+    if (expiresAt !== null && isNaN(expiresAt)) {
+      errors.push(`${path}: "expiresAt" must be a date`);
+      return;
+    }
+
+    result.push({ name: entry.name, secret: entry.secret, expiresAt });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid webhook secrets:\n${errors.join('\n')}`);
+  }
+
+  return result;
+};
+
+/**
+ * Returns the `secrets` that have not expired yet.
+ * @param {WebhookSecret[]} secrets
+ */
+const getActiveSecrets = (secrets) => {
+  const now = Date.now();
+
+  return secrets.filter(
+    ({ expiresAt }) => expiresAt === null || expiresAt > now,
+  );
+};
+
+/**
+ * Returns `true` if `signature` (`sha256=<hex digest>` or
+ * `sha1=<hex digest>`) is the HMAC of the raw `body` with `secret`.
+ * @param {string} secret
+ * @param {Buffer} body
+ * @param {string} signature
+ */
+const isSignedWith = (secret, body, signature) => {
+  const [algorithm] = signature.split('=', 1);
+  const digest = createHmac(algorithm, secret).update(body).digest('hex');
+  const expected = Buffer.from(`${algorithm}=${digest}`);
+  const actual = Buffer.from(signature);
+
+  // `timingSafeEqual` throws if the lengths differ
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+};
+
+/**
+ * Returns the first of the `secrets` the raw `body` was signed with,
+ * expired or not, or `undefined` if the `signature` does not match
+ * any of them. The `signature` must use `sha256` or `sha1`.
+ * @param {WebhookSecret[]} secrets
+ * @param {Buffer} body
+ * @param {string} signature
+ */
+const findSecret = (secrets, body, signature) => {
+  return secrets.find(({ secret }) => isSignedWith(secret, body, signature));
+};
+
+module.exports = {
+  findSecret,
+  getActiveSecrets,
+  parseWebhookSecrets,
+};